@@ -0,0 +1,5 @@
+// Let Sophie finish the call: the call is hung up once her goodbye has played to the caller
+export default async function endCall({ callControl }) {
+    callControl.hangUpAfterReply();
+    return { status: 'ending' };
+}
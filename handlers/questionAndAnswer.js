@@ -0,0 +1,68 @@
+import { sendToWebhook } from '../lib/webhooks.js';
+import { incrementCounter } from '../lib/metrics.js';
+import { logger } from '../lib/logger.js';
+
+// With passages to fall back on, Make.com gets one try of this long instead of route 3's timeout and retry
+// (about 8.6s), so the caller isn't kept waiting for an answer the passages can give.
+const FALLBACK_DEADLINE_MS = 6000;
+
+// Answer a customer question from the local knowledge base when it has a confident match (see lib/knowledgeBase.js),
+// otherwise through Make.com route 3 (OpenAI Assistants thread). If Make.com fails, the closest passages are used anyway.
+// The result says which source answered ("knowledge_base" or "webhook") and, for local answers, the passage IDs.
+export default async function questionAndAnswer({ args, session, webhookUrl, signal, knowledgeBase }) {
+    const local = knowledgeBase
+        ? knowledgeBase.answer(args.question, { tenantId: session.tenant?.id })
+        : { confident: false, passages: [] };
+    if (local.confident) {
+        incrementCounter('knowledge_answers_total', { source: 'knowledge_base' });
+        return knowledgeBaseResult(local.passages);
+    }
+
+    try {
+        const deadline = local.passages.length > 0 ? { retries: 0, timeoutMs: FALLBACK_DEADLINE_MS } : {};
+        const message = await askAssistant(args.question, session, webhookUrl, { signal, ...deadline });
+        incrementCounter('knowledge_answers_total', { source: 'webhook' });
+        return { source: 'webhook', message: message };
+    } catch (error) {
+        if (local.passages.length === 0) throw error;
+        logger.warn('Q&A webhook failed, answering from the closest knowledge base passages', { callSid: session.callSid, error: error.message });
+        incrementCounter('knowledge_answers_total', { source: 'knowledge_base_fallback' });
+        return { ...knowledgeBaseResult(local.passages), lowConfidence: true };
+    }
+}
+
+// Route 3 (OpenAI Assistants thread). The thread ID is kept on the call session so follow-up questions share the same thread.
+async function askAssistant(question, session, webhookUrl, options) {
+    const webhookResponse = await sendToWebhook(webhookUrl, {
+        route: "3",  // Route 3 for Q&A
+        data1: question,
+        data2: session.threadId || "",
+        mode: session.mode  // 'agent' or 'after_hours_agent'
+    }, options);
+
+    let parsedResponse;
+    try {
+        parsedResponse = JSON.parse(webhookResponse);
+    } catch {
+        // JSON.parse's message would quote the answer into the logs
+        throw new Error(`Make.com route 3 answer is not JSON (${webhookResponse.length} characters)`);
+    }
+
+    // Update the threadId if it's provided in the response
+    if (parsedResponse.thread) {
+        session.threadId = parsedResponse.thread;
+        logger.debug('Updated thread ID', { callSid: session.callSid, threadId: session.threadId });
+    }
+
+    return parsedResponse.message;
+}
+
+// The function output for an answer from local passages: `message` feeds the tool's responseTemplate
+function knowledgeBaseResult(passages) {
+    return {
+        source: 'knowledge_base',
+        sources: passages.map(passage => passage.id),
+        passages: passages.map(({ id, text, score }) => ({ id, text, score })),
+        message: passages.map(passage => passage.text).join('\n\n')
+    };
+}
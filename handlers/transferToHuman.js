@@ -0,0 +1,43 @@
+import { sendToWebhook } from '../lib/webhooks.js';
+import { logger } from '../lib/logger.js';
+
+const SUMMARY_LINES = 8;  // How much of the conversation goes into the handoff summary
+
+// Hand the caller to a person: pick the number for the department from the tenant's transfer config,
+// send the staff member a short summary, and transfer once Sophie has told the caller.
+export default async function transferToHuman({ args, session, webhookUrl, callControl }) {
+    if (!callControl.canTransfer) {
+        throw new Error('Call transfers need the Twilio REST API (TWILIO_ACCOUNT_SID)');
+    }
+
+    // A department without its own number goes to the default number, and is reported as "default"
+    const numbers = session.tenant.transfer?.numbers || {};
+    const requested = args.department?.toLowerCase();
+    const department = requested && numbers[requested] ? requested : 'default';
+    const number = numbers[department];
+    if (!number) {
+        throw new Error('No transfer number is configured for this business');
+    }
+
+    const summary = {
+        reason: args.reason,
+        department: department,
+        callerNumber: session.callerNumber,
+        recentConversation: session.transcriptLines.slice(-SUMMARY_LINES).map(line => `${line.speaker}: ${line.text}`).join('\n')
+    };
+
+    // The summary is nice to have; a webhook problem must not stop the transfer
+    try {
+        await sendToWebhook(webhookUrl, {
+            route: "5",  // Route 5 for transfer handoff summaries
+            data1: session.callerNumber,
+            data2: JSON.stringify(summary),
+            mode: session.mode  // 'agent' or 'after_hours_agent'
+        });
+    } catch (error) {
+        logger.error('Error sending handoff summary', { callSid: session.callSid, error });
+    }
+
+    callControl.transferAfterReply(number);
+    return { status: 'transferring', department: summary.department };
+}
@@ -2,58 +2,145 @@
 import Fastify from 'fastify';  // Web framework for Node.js
 import WebSocket from 'ws';  // WebSocket library for real-time communication
 import fs from 'fs';  // Filesystem module for reading/writing files
+import crypto from 'crypto';  // Used to generate a fallback stream token secret
 import dotenv from 'dotenv';  // Module to load environment variables from a .env file
 import fastifyFormBody from '@fastify/formbody';  // Fastify plugin for parsing form data
 import fastifyWs from '@fastify/websocket';  // Fastify plugin for WebSocket support
-import fetch from 'node-fetch';  // Module to make HTTP requests
+import { ToolRegistry, ToolError } from './lib/tools.js';  // Config-driven function calling
+import { sendToWebhook, configureWebhooks } from './lib/webhooks.js';  // Posts payloads to the Make.com webhook
+import { WebhookOutbox } from './lib/outbox.js';  // Durable delivery for post-call payloads
+import { TenantRegistry } from './lib/tenants.js';  // Per-number assistant profiles
+import { createTwilioClient, transferCall, hangUpCall, sendToVoicemail } from './lib/twilioClient.js';  // Twilio REST API for live call control
+import { CallRecorder, purgeOldRecordings } from './lib/recorder.js';  // Stereo call recordings
+import { FINAL_CALL_STATUSES, isMachineAnswer, validateOutboundRequest, outboundInstructions, outboundContextMessage, voicemailMessage } from './lib/outbound.js';  // Outbound calls
+import { isValidTwilioRequest, isValidAdminToken, createStreamToken, verifyStreamToken } from './lib/security.js';  // Request authentication
+import { connectStreamTwiml, sayAndHangupTwiml, hangupTwiml, dialTwiml, voicemailTwiml } from './lib/twiml.js';  // Escaped TwiML generation
+import { SessionManager } from './lib/sessions.js';  // Call session lifecycle
+import { CallStore, buildCallRecord, summarizeCallRecord } from './lib/callStore.js';  // Persistent call records
+import { incrementCounter, setGauge, observeHistogram, renderMetrics } from './lib/metrics.js';  // Prometheus metrics
+import { logger, configureLogger } from './lib/logger.js';  // Structured JSON logs
+import { loadHoldAudio, holdChime } from './lib/holdAudio.js';  // Played while Sophie reconnects
+import { CallExtractor } from './lib/extraction.js';  // Post-call structured details
+import { loadSchedule, tenantSchedule, callMode } from './lib/schedule.js';  // Business hours and after-hours routing
+import { DtmfCollector, loneKey, normalizeShortcut } from './lib/dtmf.js';  // Keypad input
+import { CallMonitor } from './lib/monitor.js';  // Live supervisor view of calls
+import { KnowledgeBase } from './lib/knowledgeBase.js';  // Local documents for question_and_answer
 
 // Load environment variables from .env file
 dotenv.config();  // Reads .env file and makes its variables available
 
-// Retrieve the OpenAI API key from environment variables
-const { OPENAI_API_KEY } = process.env;  // Get the OpenAI API key from the environment
+// LOG_LEVEL is debug, info, warn or error. DEBUG_MODE=true also logs phone numbers and conversation text unredacted.
+configureLogger({ level: process.env.LOG_LEVEL || 'info', debug: process.env.DEBUG_MODE === 'true' });
+
+// Retrieve the OpenAI API key and Twilio settings from environment variables
+const { OPENAI_API_KEY, TWILIO_ACCOUNT_SID, TWILIO_AUTH_TOKEN, TWILIO_API_BASE_URL, PUBLIC_BASE_URL, ADMIN_API_TOKEN } = process.env;
 
 // Check if the API key is missing
 if (!OPENAI_API_KEY) {
-    console.error('Missing OpenAI API key. Please set it in the .env file.');
+    logger.error('Missing OpenAI API key. Please set it in the .env file.');
     process.exit(1);  // Exit the application if the API key is not found
 }
 
+// Without the Twilio auth token we cannot check that requests really come from Twilio
+if (!TWILIO_AUTH_TOKEN) {
+    logger.warn('TWILIO_AUTH_TOKEN is not set: Twilio signature validation on /incoming-call is disabled.');
+}
+
+if (process.env.DEBUG_MODE === 'true') {
+    logger.warn('DEBUG_MODE is on: phone numbers and conversation text are logged unredacted.');
+}
+
+// Twilio REST client for transfers and hang-ups (null when TWILIO_ACCOUNT_SID isn't set).
+// TWILIO_API_BASE_URL points it at a local stand-in for testing.
+const twilioClient = createTwilioClient({ accountSid: TWILIO_ACCOUNT_SID, authToken: TWILIO_AUTH_TOKEN, apiBaseUrl: TWILIO_API_BASE_URL });
+
 // Initialize Fastify server
 const fastify = Fastify();  // Create a new Fastify instance
 fastify.register(fastifyFormBody);  // Register the form-body parsing plugin
 fastify.register(fastifyWs);  // Register WebSocket support for real-time communication
 
-// System message template for the AI assistant's behavior and persona
-const SYSTEM_MESSAGE = `
-### Role
-You are an AI assistant named Sophie, working at Bart's Automotive. Your role is to answer customer questions about automotive services and repairs, and assist with booking tow services.
-### Persona
-- You have been a receptionist at Bart's Automotive for over 5 years.
-- You are knowledgeable about both the company and cars in general.
-- Your tone is friendly, professional, and efficient.
-- You keep conversations focused and concise, bringing them back on topic if necessary.
-- You ask only one question at a time and respond promptly to avoid wasting the customer's time.
-### Conversation Guidelines
-- Always be polite and maintain a medium-paced speaking style.
-- When the conversation veers off-topic, gently bring it back with a polite reminder.
-### First Message
-The first message you receive from the customer is their name and a summary of their last call, repeat this exact message to the customer as the greeting.
-### Handling FAQs
-Use the function \`question_and_answer\` to respond to common customer queries.
-### Booking a Tow
-When a customer needs a tow:
-1. Ask for their current address.
-2. Once you have the address, use the \`book_tow\` function to arrange the tow service.
-`;
-
 // Some default constants used throughout the application
-const VOICE = 'alloy';  // The voice for AI responses
 const PORT = process.env.PORT || 5050;  // Set the port for the server (from environment or default to 5050)
-const MAKE_WEBHOOK_URL = "<your Make.com URL>";  // URL to Make.com webhook
+const MAKE_WEBHOOK_URL = process.env.MAKE_WEBHOOK_URL || "<your Make.com URL>";  // Default URL to Make.com webhook
+const OPENAI_REALTIME_URL = process.env.OPENAI_REALTIME_URL || 'wss://api.openai.com/v1/realtime?model=gpt-4o-realtime-preview-2024-10-01';  // Point at sim/mockRealtime.js to test offline
+const TENANTS_DIR = process.env.TENANTS_DIR || new URL('./config/tenants', import.meta.url).pathname;  // Assistant profiles per dialed number
+const STREAM_TOKEN_SECRET = process.env.STREAM_TOKEN_SECRET || crypto.randomBytes(32).toString('hex');  // Signs media stream tokens
+const STREAM_TOKEN_TTL_SECONDS = Number(process.env.STREAM_TOKEN_TTL_SECONDS) || 60;  // How long Twilio has to open the stream
+const STREAM_AUTH_TIMEOUT_MS = 10000;  // Media streams must send a valid start event within this time
+const OUTBOUND_PENDING_TTL_MS = 3 * 60 * 1000;  // Outbound calls ring and run answering-machine detection before the stream starts
+const RECORDINGS_ENABLED = process.env.RECORDINGS_ENABLED === 'true';  // Record calls (tenants and callers can still opt out)
+const RECORDINGS_DIR = process.env.RECORDINGS_DIR || new URL('./data/recordings', import.meta.url).pathname;
+const RECORDING_RETENTION_DAYS = Number(process.env.RECORDING_RETENTION_DAYS) || 30;  // Recordings older than this are deleted
+const CALL_ACTION_MARK = 'call-action';  // Twilio mark that tells us Sophie's last reply before a transfer/hang-up has played
+const CALL_ACTION_TIMEOUT_MS = 20000;  // Run a pending transfer/hang-up anyway if the reply never finishes
+const TOOLS_CONFIG_PATH = process.env.TOOLS_CONFIG_PATH || new URL('./config/tools.json', import.meta.url).pathname;  // Tool definitions
+const OPENAI_RECONNECT_ATTEMPTS = Number(process.env.OPENAI_RECONNECT_ATTEMPTS) || 3;  // Reconnects to try when the Realtime API drops mid-call
+const OPENAI_RECONNECT_BASE_DELAY_MS = 500;  // Doubled after every failed attempt
+const HOLD_AUDIO_GAP_MS = 3000;  // Pause between repeats of the hold audio
+const RESUME_INSTRUCTIONS = 'The call was briefly interrupted by a technical problem. Apologize briefly for the interruption and continue where you left off.';
+const SILENCE_REPROMPT_INSTRUCTIONS = "The caller has gone quiet. Gently check whether they are still there or need anything else, in one short sentence.";
+const SILENCE_GOODBYE_INSTRUCTIONS = "The caller still hasn't said anything. Tell them you'll end the call now since you can't hear them, invite them to call back, and say goodbye.";
+const SUPERVISOR_GOODBYE_INSTRUCTIONS = "The call needs to end now. Thank the caller, let them know someone will follow up if needed, and say goodbye in one or two sentences.";
+const MAX_DURATION_GOODBYE_INSTRUCTIONS = "The call has reached its time limit. Thank the caller, let them know they can call back if they need anything else, and say goodbye in one or two sentences.";
+
+// u-law audio the caller hears while Sophie reconnects: HOLD_AUDIO_FILE (8kHz u-law WAV) or a soft chime
+const holdAudio = process.env.HOLD_AUDIO_FILE ? loadHoldAudio(process.env.HOLD_AUDIO_FILE) : holdChime();
+
+// Load the functions Sophie can call from the tool config file
+const toolRegistry = await ToolRegistry.load(TOOLS_CONFIG_PATH);
 
-// Session management: Store session data for ongoing calls
-const sessions = new Map();  // A Map to hold session data for each call
+// Documents question_and_answer answers from before asking Make.com; re-indexed by POST /knowledge/reindex.
+// Disabled unless KNOWLEDGE_DIR is set, so every answer goes to Make.com
+const knowledgeBase = process.env.KNOWLEDGE_DIR ? new KnowledgeBase(process.env.KNOWLEDGE_DIR, {
+    minScore: Number(process.env.KNOWLEDGE_MIN_SCORE) || 1,  // BM25 score the best passage needs to be trusted
+    minCoverage: Number(process.env.KNOWLEDGE_MIN_COVERAGE) || 0.5  // Share of the question's words it needs to contain
+}) : null;
+await knowledgeBase?.index();
+
+// Load the tenant profiles (persona, voice, greeting, webhook, tools) and pick up edits without a restart
+const tenants = new TenantRegistry(TENANTS_DIR, { fallbackWebhookUrl: MAKE_WEBHOOK_URL }).load().watch();
+
+// Business hours, holidays and what happens to calls outside them; tenants can override parts of it
+const businessSchedule = loadSchedule(process.env.SCHEDULE_CONFIG_PATH || new URL('./config/schedule.json', import.meta.url).pathname);
+
+// Session management: Store session data for ongoing calls, keyed by CallSid
+const sessions = new SessionManager({
+    pendingTtlMs: (Number(process.env.SESSION_PENDING_TTL_SECONDS) || 60) * 1000,  // Time allowed between /incoming-call and the media stream
+    maxConcurrentCalls: Number(process.env.MAX_CONCURRENT_CALLS) || 10  // Calls beyond this get a busy message
+});
+
+// Supervisors watch live calls and send commands to them over /monitor
+const callMonitor = new CallMonitor();
+// Webhook delivery: sign payloads and apply per-route timeout/retry overrides (JSON, e.g. {"3": {"timeoutMs": 5000}})
+configureWebhooks({
+    secret: process.env.WEBHOOK_SIGNING_SECRET || null,
+    routes: process.env.WEBHOOK_ROUTE_OPTIONS ? JSON.parse(process.env.WEBHOOK_ROUTE_OPTIONS) : {}
+});
+
+// Post-call payloads go through a disk-backed outbox, replayed on boot
+const webhookOutbox = new WebhookOutbox(process.env.WEBHOOK_OUTBOX_DIR || new URL('./data/outbox', import.meta.url).pathname, {
+    maxAttempts: Number(process.env.WEBHOOK_OUTBOX_MAX_ATTEMPTS) || 8
+});
+webhookOutbox.replay();
+
+// Purge expired recordings at boot and then once an hour
+const purgeRecordings = () => purgeOldRecordings(RECORDINGS_DIR, RECORDING_RETENTION_DAYS)
+    .catch(error => logger.error('Error purging old recordings', { error }));
+purgeRecordings();
+setInterval(purgeRecordings, 60 * 60 * 1000).unref();
+
+// Post-call extraction of the caller's details from the transcript. EXTRACTION_API_URL can point at a local stand-in.
+const callExtractor = process.env.EXTRACTION_ENABLED === 'false' ? null : CallExtractor.load(
+    process.env.EXTRACTION_CONFIG_PATH || new URL('./config/extraction.json', import.meta.url).pathname,
+    {
+        apiUrl: process.env.EXTRACTION_API_URL || 'https://api.openai.com/v1/chat/completions',
+        apiKey: OPENAI_API_KEY,
+        timeoutMs: Number(process.env.EXTRACTION_TIMEOUT_MS) || 15000  // The transcript webhook waits at most this long
+    }
+);
+
+// Call records: every finished call is saved locally as a structured record
+const callStore = new CallStore(process.env.CALLS_DB_PATH || new URL('./data/calls.jsonl', import.meta.url).pathname).load();
 
 // Event types to log to the console for debugging purposes
 const LOG_EVENT_TYPES = [
@@ -73,108 +160,515 @@ fastify.get('/', async (request, reply) => {
     reply.send({ message: 'Twilio Media Stream Server is running!' });  // Send a simple message when accessing the root
 });
 
-// Handle incoming calls from Twilio
-fastify.all('/incoming-call', async (request, reply) => {
-    console.log('Incoming call');  // Log incoming call for debugging
+// Count and log a request we refused to serve
+function recordRejectedRequest(route, reason) {
+    const total = incrementCounter('rejected_requests_total', { route });
+    logger.warn(`Rejected request to ${route}`, { route, reason, rejectedSoFar: total });
+}
 
+// Reject HTTP requests that are not signed by Twilio
+async function requireTwilioSignature(request, reply) {
+    if (!TWILIO_AUTH_TOKEN) return;  // Validation disabled, see the warning at startup
+    if (!isValidTwilioRequest(request, TWILIO_AUTH_TOKEN, PUBLIC_BASE_URL)) {
+        recordRejectedRequest(request.routeOptions.url, 'invalid Twilio signature');
+        return reply.code(403).send({ error: 'Forbidden' });
+    }
+}
+
+// Reject admin API requests without the admin bearer token
+async function requireAdminToken(request, reply) {
+    if (!isValidAdminToken(request.headers.authorization, ADMIN_API_TOKEN)) {
+        recordRejectedRequest(request.routeOptions.url, ADMIN_API_TOKEN ? 'invalid admin token' : 'admin API disabled');
+        return reply.code(403).send({ error: 'Forbidden' });
+    }
+}
+
+// Same check for the /monitor WebSockets, which also take the token as ?token= because browsers can't set headers on a WebSocket
+async function requireMonitorToken(request, reply) {
+    if (!isValidAdminToken(request.headers.authorization || request.query.token, ADMIN_API_TOKEN)) {
+        recordRejectedRequest(request.routeOptions.url, ADMIN_API_TOKEN ? 'invalid admin token' : 'admin API disabled');
+        return reply.code(403).send({ error: 'Forbidden' });
+    }
+}
+
+// Handle incoming calls from Twilio
+fastify.all('/incoming-call', { preHandler: requireTwilioSignature }, async (request, reply) => {
     // Get all incoming call details from the request body or query string
     const twilioParams = request.body || request.query;
-    console.log('Twilio Inbound Details:', JSON.stringify(twilioParams, null, 2));  // Log call details
 
     // Extract caller's number and session ID (CallSid)
     const callerNumber = twilioParams.From || 'Unknown';  // Caller phone number (default to 'Unknown' if missing)
     const sessionId = twilioParams.CallSid;  // Use Twilio's CallSid as a unique session ID
-    console.log('Caller Number:', callerNumber);
-    console.log('Session ID (CallSid):', sessionId);
+    const log = logger.child({ callSid: sessionId });
+
+    // Pick the assistant profile for the number that was dialed
+    const dialedTenant = tenants.resolve(twilioParams.To);
+
+    // Check the business hours: the normal agent, the after-hours agent, a forward to the on-call number or voicemail
+    const schedule = tenantSchedule(businessSchedule, dialedTenant);
+    const { mode, reason, holiday } = callMode(schedule);
+    log.info('Incoming call', { callerNumber, tenant: dialedTenant.id, mode, reason, holiday });
+    log.debug('Twilio inbound details', { callDetails: twilioParams });
+
+    if (mode === 'forward' || mode === 'voicemail') {
+        const twiml = closedCallTwiml(request, mode, dialedTenant, schedule.afterHours, log);
+        const session = sessions.create(sessionId, {
+            callerNumber: callerNumber,
+            tenant: dialedTenant,
+            callDetails: twilioParams,
+            mode: twiml.mode,
+            endReason: twiml.mode === 'forward' ? 'forwarded' : 'voicemail'
+        });
+        sessions.end(sessionId);  // Sophie never joins these calls
+        await callStore.save(buildCallRecord(session));
+
+        // Let Make.com know about the call even though there is no conversation to send
+        try {
+            await webhookOutbox.enqueue(dialedTenant.webhookUrl, {
+                route: "2",  // Same route as the end-of-call transcript
+                data1: callerNumber,
+                data2: "",  // No transcript, Sophie never joined the call
+                data3: "",
+                mode: twiml.mode  // 'forward' or 'voicemail'
+            });
+        } catch (error) {
+            log.error('Error queueing call notification', { error });
+        }
+        return reply.type('text/xml').send(twiml.xml);
+    }
+    const tenant = mode === 'after_hours_agent' ? afterHoursProfile(dialedTenant, schedule.afterHours) : dialedTenant;
+
+    // Turn the caller away politely if we are already handling as many calls as we can
+    if (sessions.isAtCapacity()) {
+        log.warn('At capacity, sending busy message', { maxConcurrentCalls: sessions.maxConcurrentCalls });
+        return reply.type('text/xml').send(sayAndHangupTwiml(tenant.busyMessage));
+    }
 
     // Send the caller's number to Make.com webhook to get a personalized first message
-    let firstMessage = "Hello, welcome to Bart's Automotive. How can I assist you today?";  // Default first message
+    let firstMessage = tenant.greeting;  // Default first message
+    let makeUnavailable = false;  // Set when the webhook can't be reached, so we can fall back to local caller history
 
     try {
         // Send a POST request to Make.com webhook to get a customized message for the caller
-        const webhookResponse = await fetch(MAKE_WEBHOOK_URL, {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json'
-            },
-            body: JSON.stringify({
-                route: "1",  // Route 1 is for getting the first message
-                data1: callerNumber,  // Send caller's number
-                data2: "empty"  // Extra data (not used here)
-            })
+        const responseText = await sendToWebhook(tenant.webhookUrl, {
+            route: "1",  // Route 1 is for getting the first message
+            data1: callerNumber,  // Send caller's number
+            data2: "empty",  // Extra data (not used here)
+            mode: mode  // 'agent' or 'after_hours_agent', so the greeting can say the shop is closed
         });
 
-        if (webhookResponse.ok) {
-            const responseText = await webhookResponse.text();  // Get the text response from the webhook
-            console.log('Make.com webhook response:', responseText);
-            try {
-                const responseData = JSON.parse(responseText);  // Try to parse the response as JSON
-                if (responseData && responseData.firstMessage) {
-                    firstMessage = responseData.firstMessage;  // If there's a firstMessage in the response, use it
-                    console.log('Parsed firstMessage from Make.com:', firstMessage);
-                }
-            } catch (parseError) {
-                console.error('Error parsing webhook response:', parseError);  // Log any errors while parsing the response
-                firstMessage = responseText.trim();  // Use the plain text response if parsing fails
+        try {
+            const responseData = JSON.parse(responseText);  // Try to parse the response as JSON
+            if (responseData && responseData.firstMessage) {
+                firstMessage = responseData.firstMessage;  // If there's a firstMessage in the response, use it
+                log.debug('Parsed firstMessage from Make.com', { firstMessage });
             }
-        } else {
-            console.error('Failed to send data to Make.com webhook:', webhookResponse.statusText);  // Log if webhook fails
+        } catch {
+            // Not the parse error itself: its message quotes the start of the text, i.e. the caller's name and greeting
+            log.warn('Make.com first message is not JSON, using it as plain text', { length: responseText.length });
+            firstMessage = responseText.trim();  // Use the plain text response if parsing fails
         }
     } catch (error) {
-        console.error('Error sending data to Make.com webhook:', error);  // Log if an error occurs in the request
+        log.error('Error sending data to Make.com webhook', { error });  // Log if the webhook fails or can't be reached
+        makeUnavailable = true;
+    }
+
+    // Without Make.com, greet returning callers based on our own call records
+    if (makeUnavailable) {
+        const lastCall = callStore.latestForCaller(callerNumber);
+        if (lastCall) {
+            firstMessage = historyGreeting(lastCall, tenant);
+            log.info('Using local caller history for the first message', { firstMessage });
+        }
     }
 
-    // Set up a new session for this call
-    let session = {
-        transcript: '',  // Store the conversation transcript here
-        streamSid: null,  // This will be set when the media stream starts
+    // Set up a new session for this call; the media stream picks it up by CallSid
+    sessions.create(sessionId, {
         callerNumber: callerNumber,  // Store the caller's number
+        tenant: tenant,  // The profile stays fixed for the whole call, even if the config is reloaded
         callDetails: twilioParams,  // Save the Twilio call details
-        firstMessage: firstMessage  // Save the personalized first message
-    };
-    sessions.set(sessionId, session);  // Add the session to the sessions Map
+        firstMessage: firstMessage,  // Save the personalized first message
+        mode: mode  // How the schedule routed the call
+    });
 
     // Respond to Twilio with TwiML to connect the call to the media stream
-    const twimlResponse = `<?xml version="1.0" encoding="UTF-8"?>
-                          <Response>
-                              <Connect>
-                                  <Stream url="wss://${request.headers.host}/media-stream">  // WebSocket URL for media stream
-                                        <Parameter name="firstMessage" value="${firstMessage}" />  // Send the first message as a parameter
-                                        <Parameter name="callerNumber" value="${callerNumber}" />  // Send caller number as a parameter
-                                  </Stream>
-                              </Connect>
-                          </Response>`;
-
-    reply.type('text/xml').send(twimlResponse);  // Send the TwiML response to Twilio
+    reply.type('text/xml').send(mediaStreamTwiml(request, sessions.get(sessionId)));  // Send the TwiML response to Twilio
+});
+
+// Admin route: have Sophie call a customer. Body: { to, purpose, context?, tools?, tenantId?, from?, voicemailMessage? }
+fastify.post('/outbound-call', { preHandler: requireAdminToken }, async (request, reply) => {
+    const validationError = validateOutboundRequest(request.body);
+    if (validationError) {
+        return reply.code(400).send({ error: validationError });
+    }
+    if (!twilioClient) {
+        return reply.code(503).send({ error: 'Outbound calls need the Twilio REST API (TWILIO_ACCOUNT_SID)' });
+    }
+    if (sessions.isAtCapacity()) {
+        return reply.code(503).send({ error: 'At maximum concurrent calls, try again later' });
+    }
+
+    const { to, purpose, context = {}, tools, tenantId, from, voicemailMessage } = request.body;
+    const tenant = tenantId ? tenants.get(tenantId) : tenants.resolve(null);
+    if (!tenant) {
+        return reply.code(400).send({ error: `Unknown tenant "${tenantId}"` });
+    }
+    const fromNumber = from || tenant.numbers[0];
+    if (!fromNumber) {
+        return reply.code(400).send({ error: `Tenant "${tenant.id}" has no number to call from, pass "from"` });
+    }
+
+    // Only tools the tenant allows can be enabled for the call
+    const tenantTools = tenant.tools || toolRegistry.sessionTools().map(tool => tool.name);
+    const callTools = tools ? tools.filter(tool => tenantTools.includes(tool)) : tenantTools;
+
+    const baseUrl = publicBaseUrl(request);
+    let call;
+    try {
+        call = await twilioClient.calls.create({
+            to,
+            from: fromNumber,
+            url: `${baseUrl}/outbound-answer`,  // Twilio asks for TwiML once answering-machine detection is done
+            machineDetection: 'DetectMessageEnd',  // For machines, wait for the greeting to end so a voicemail can be left
+            statusCallback: `${baseUrl}/outbound-status`,
+            statusCallbackEvent: ['initiated', 'ringing', 'answered', 'completed'],
+            statusCallbackMethod: 'POST'
+        });
+    } catch (error) {
+        logger.error('Error placing outbound call', { to, error });
+        return reply.code(502).send({ error: `Twilio could not place the call: ${error.message}` });
+    }
+
+    sessions.create(call.sid, {
+        direction: 'outbound',
+        callerNumber: to,
+        tenant: { ...tenant, tools: callTools },
+        callDetails: { CallSid: call.sid, From: fromNumber, To: to, Direction: 'outbound-api' },
+        outbound: { purpose, context, voicemailMessage },
+        firstMessage: outboundContextMessage({ purpose, context }),
+        pendingTtlMs: OUTBOUND_PENDING_TTL_MS
+    });
+    logger.info('Placed outbound call', { callSid: call.sid, to, purpose });
+
+    reply.code(201).send({ callSid: call.sid, status: call.status });
+});
+
+// Twilio asks what to do once an outbound call is answered; AnsweredBy says whether a person or a machine picked up
+fastify.all('/outbound-answer', { preHandler: requireTwilioSignature }, async (request, reply) => {
+    const twilioParams = request.body || request.query;
+    const session = sessions.get(twilioParams.CallSid);
+    if (!session) {
+        logger.warn('Outbound call answered but its session is gone', { callSid: twilioParams.CallSid });
+        return reply.type('text/xml').send(sayAndHangupTwiml('Sorry, something went wrong. Goodbye.'));
+    }
+
+    session.outcome = { ...session.outcome, answeredBy: twilioParams.AnsweredBy || 'unknown' };
+    logger.info('Outbound call answered', { callSid: session.callSid, answeredBy: session.outcome.answeredBy });
+
+    if (isMachineAnswer(twilioParams.AnsweredBy)) {
+        session.endReason = 'voicemail';
+        return reply.type('text/xml').send(sayAndHangupTwiml(voicemailMessage(session.outbound, session.tenant)));
+    }
+
+    reply.type('text/xml').send(mediaStreamTwiml(request, session));
+});
+
+// Twilio reports outbound call progress here; the final status is stored with the call
+fastify.post('/outbound-status', { preHandler: requireTwilioSignature }, async (request, reply) => {
+    const { CallSid: callSid, CallStatus: status, AnsweredBy: answeredBy, CallDuration: duration } = request.body;
+    logger.info('Outbound call status', { callSid, status });
+
+    if (FINAL_CALL_STATUSES.includes(status)) {
+        const session = sessions.get(callSid);
+        const outcome = {
+            ...session?.outcome,
+            status,
+            answeredBy: answeredBy || session?.outcome?.answeredBy || null,
+            durationSeconds: Number(duration) || 0
+        };
+
+        if (session && session.status === 'pending') {
+            // The media stream never started (no answer, busy, voicemail...): this is the end of the call
+            session.outcome = outcome;
+            session.endReason = session.endReason || status;
+            sessions.end(callSid);
+            await callStore.save(buildCallRecord(session));
+        } else if (session) {
+            session.outcome = outcome;  // Saved with the record when the stream closes
+        } else {
+            await callStore.update(callSid, { outcome });
+        }
+    }
+
+    reply.send({ received: true });
+});
+
+// Twilio posts the voicemail left after a recovery fallback here; it is linked from the call record
+fastify.post('/voicemail-complete', { preHandler: requireTwilioSignature }, async (request, reply) => {
+    const { CallSid: callSid, RecordingUrl: url, RecordingDuration: duration } = request.body;
+    if (url) {
+        logger.info('Voicemail left', { callSid, durationSeconds: Number(duration) || 0 });
+        await callStore.update(callSid, { voicemail: { url, durationSeconds: Number(duration) || 0 } });
+    }
+    reply.type('text/xml').send(hangupTwiml());
+});
+
+// Admin route: Prometheus metrics (calls, response latency, tools, webhooks, OpenAI rate limits)
+fastify.get('/metrics', { preHandler: requireAdminToken }, async (request, reply) => {
+    for (const status of ['pending', 'active']) {
+        setGauge('calls_active', { status }, sessions.list().filter(session => session.status === status).length);
+    }
+    reply.type('text/plain; version=0.0.4').send(renderMetrics());
+});
+
+// Admin route: search stored call records by caller, date range (from/to) and tool used
+fastify.get('/calls', { preHandler: requireAdminToken }, async (request, reply) => {
+    const { caller, from, to, tool, limit } = request.query;
+    const calls = callStore.query({ caller, from, to, tool, limit: Number(limit) || 100 });
+    reply.send({ calls: calls.map(summarizeCallRecord) });
+});
+
+// Admin route: full record of one call
+fastify.get('/calls/:callSid', { preHandler: requireAdminToken }, async (request, reply) => {
+    const record = callStore.get(request.params.callSid);
+    if (!record) {
+        return reply.code(404).send({ error: 'Call not found' });
+    }
+    reply.send(record);
+});
+
+// Admin route: download a call recording (stereo WAV, caller left, agent right)
+fastify.get('/recordings/:callSid', { preHandler: requireAdminToken }, async (request, reply) => {
+    const { callSid } = request.params;
+    const recordingPath = `${RECORDINGS_DIR}/${callSid}.wav`;
+    if (!/^[A-Za-z0-9]+$/.test(callSid) || !fs.existsSync(recordingPath)) {
+        return reply.code(404).send({ error: 'Recording not found' });
+    }
+    return reply.type('audio/wav').send(fs.createReadStream(recordingPath));
+});
+
+// Admin route: webhook payloads that could not be delivered (dead-letter list)
+fastify.get('/webhooks/failed', { preHandler: requireAdminToken }, async (request, reply) => {
+    reply.send({ failed: webhookOutbox.listFailed() });
+});
+
+// Admin route: re-read the knowledge base documents (after adding or editing them) without a restart
+fastify.post('/knowledge/reindex', { preHandler: requireAdminToken }, async (request, reply) => {
+    if (!knowledgeBase) {
+        return reply.code(404).send({ error: 'Knowledge base is disabled, set KNOWLEDGE_DIR to enable it' });
+    }
+    reply.send(await knowledgeBase.index());
+});
+
+// Admin route: overview of every live call
+fastify.get('/sessions', { preHandler: requireAdminToken }, async (request, reply) => {
+    reply.send({ sessions: sessions.list() });
+});
+
+// Admin route: live state of a single call
+fastify.get('/sessions/:callSid', { preHandler: requireAdminToken }, async (request, reply) => {
+    const session = sessions.describe(request.params.callSid);
+    if (!session) {
+        return reply.code(404).send({ error: 'Session not found' });
+    }
+    reply.send(session);
 });
 
 // WebSocket route to handle the media stream for real-time interaction
 fastify.register(async (fastify) => {
     fastify.get('/media-stream', { websocket: true }, (connection, req) => {
-        console.log('Client connected to media-stream');  // Log when a client connects
+        let log = logger;  // Adds the callSid to every line once the start event arrives
+        log.info('Client connected to media-stream');  // Log when a client connects
 
         let firstMessage = '';  // Placeholder for the first message
         let streamSid = '';  // Placeholder for the stream ID
         let openAiWsReady = false;  // Flag to check if the OpenAI WebSocket is ready
         let queuedFirstMessage = null;  // Queue the first message until OpenAI WebSocket is ready
-        let threadId = "";  // Initialize threadId for tracking conversation threads
 
-        // Use Twilio's CallSid as the session ID or create a new one based on the timestamp
-        const sessionId = req.headers['x-twilio-call-sid'] || `session_${Date.now()}`;
-        let session = sessions.get(sessionId) || { transcript: '', streamSid: null };  // Get the session data or create a new session
-        sessions.set(sessionId, session);  // Update the session Map
+        // Barge-in state: track what was sent to Twilio versus what the caller has actually heard
+        let lastAssistantItem = null;  // ID of the assistant item whose audio is currently playing
+        let responseActive = false;  // True while OpenAI is generating a response
+        let markCounter = 0;  // Used to give every Twilio mark a unique name
+        const markQueue = [];  // Audio chunks sent to Twilio that have not been confirmed as played yet
+        const generatedAudioMs = new Map();  // item_id -> milliseconds of audio received from OpenAI
+        const playedAudioMs = new Map();  // item_id -> milliseconds of audio Twilio confirmed as played
+        const interruptedItems = new Map();  // item_id -> audio_end_ms the item was truncated at
+
+        let recorder = null;  // Records both sides of the call when recording is on for this call
+        let speechStoppedAt = null;  // When the caller last stopped talking, to measure how long Sophie takes to answer
+        let keypad = null;  // Collects DTMF digits into entries, created once the tenant is known
+
+        // Silence and call length limits from the tenant's timeouts
+        let silenceTimer = null;  // Runs while nobody is speaking: Sophie's reply has played and the caller hasn't answered
+        let silenceReprompts = 0;  // Check-ins since the caller last said or pressed something
+        let wrapUpTimer = null;
+        let maxDurationTimer = null;
+        const queuedPrompts = [];  // Prompts for Sophie ({ instructions }) waiting, oldest first, for her current response to finish
+
+        // A transfer or hang-up requested by a tool. It runs once Sophie's next reply has played to the caller.
+        let pendingCallAction = null;  // { run, endReason, responseId, timer }
 
-        // Retrieve the caller number from the session
-        const callerNumber = session.callerNumber;
-        console.log('Caller Number:', callerNumber);
+        // The session is looked up by the CallSid in Twilio's start event
+        let sessionId = null;
+        let session = null;
+
+        // Add a line to the transcript and rebuild the plain-text version kept in session.transcript
+        const addTranscriptLine = (speaker, text, itemId = null) => {
+            session.transcriptLines.push({ speaker, text, itemId, at: new Date().toISOString() });
+            session.transcript = formatTranscript(session.transcriptLines);
+            publish('transcript', { speaker, text });
+        };
+
+        // Tell supervisors watching this call what happened (see /monitor/:callSid)
+        const publish = (type, data = {}) => callMonitor.publish(sessionId, { type, ...data });
+
+        // The OpenAI connection is only opened once Twilio's start event carries a valid stream token
+        let openAiWs = null;
+        let firstMessageItem = null;  // Replayed after a reconnect, so Sophie keeps the call context
+        let reconnect = null;  // { attempt, timer, holdTimer } while the Realtime API is being reconnected
+        let callEnded = false;  // Set once Twilio closes the stream; nothing is reconnected after that
+
+        // Close streams that never send a valid start event
+        const authTimeout = setTimeout(() => {
+            rejectStream('no start event received');
+        }, STREAM_AUTH_TIMEOUT_MS);
+
+        // Close a media stream that failed authentication
+        const rejectStream = (reason) => {
+            clearTimeout(authTimeout);
+            recordRejectedRequest('/media-stream', reason);
+            connection.close(1008, 'Forbidden');  // 1008 = policy violation
+        };
 
         // Open a WebSocket connection to the OpenAI Realtime API
-        const openAiWs = new WebSocket('wss://api.openai.com/v1/realtime?model=gpt-4o-realtime-preview-2024-10-01', {
-            headers: {
-                Authorization: `Bearer ${OPENAI_API_KEY}`,  // Authorization header with the OpenAI API key
-                "OpenAI-Beta": "realtime=v1"  // Use the beta realtime version
+        const connectToOpenAi = () => {
+            const socket = new WebSocket(OPENAI_REALTIME_URL, {
+                headers: {
+                    Authorization: `Bearer ${OPENAI_API_KEY}`,  // Authorization header with the OpenAI API key
+                    "OpenAI-Beta": "realtime=v1"  // Use the beta realtime version
+                }
+            });
+            openAiWs = socket;
+
+            // Open event for when the OpenAI WebSocket connection is established
+            socket.on('open', () => {
+                if (callEnded) {
+                    socket.close();  // The caller hung up while we were connecting
+                    return;
+                }
+                log.info('Connected to the OpenAI Realtime API');  // Log successful connection
+                openAiWsReady = true;  // Set the flag to true
+                sendSessionUpdate();  // Send session configuration
+                if (reconnect) resumeConversation();  // Catch the new connection up on the call so far
+                sendFirstMessage();  // Send the first message if queued
+            });
+
+            socket.on('message', handleOpenAiMessage);  // Handle incoming messages from OpenAI
+
+            // Handle WebSocket errors
+            socket.on('error', (error) => {
+                log.error('Error in the OpenAI WebSocket', { error });  // Log any errors in the OpenAI WebSocket
+            });
+
+            // The connection dropped (or never opened) while the call is still going: try to get Sophie back
+            socket.on('close', (code) => {
+                if (callEnded || socket !== openAiWs) return;  // We closed it ourselves
+                openAiWsReady = false;
+                log.warn('OpenAI WebSocket closed mid-call', { code });
+                scheduleReconnect();
+            });
+        };
+
+        // Send an event to OpenAI; events are dropped while the connection is down
+        const sendToOpenAi = (event) => {
+            if (openAiWs?.readyState === WebSocket.OPEN) {
+                openAiWs.send(JSON.stringify(event));
             }
-        });
+        };
+
+        // Retry the connection with exponential backoff, playing hold audio to the caller meanwhile
+        const scheduleReconnect = () => {
+            if (!reconnect) {
+                reconnect = { attempt: 0, timer: null, holdTimer: null };
+                publish('state', { state: 'reconnecting' });
+                stopSilenceTimer();  // The caller isn't ignoring Sophie, she's gone
+                queuedPrompts.length = 0;
+                playHoldAudio();
+            }
+            if (reconnect.attempt >= OPENAI_RECONNECT_ATTEMPTS) {
+                recoveryFailed();
+                return;
+            }
+
+            const delayMs = OPENAI_RECONNECT_BASE_DELAY_MS * 2 ** reconnect.attempt++;
+            log.info('Reconnecting to OpenAI', { delayMs, attempt: reconnect.attempt, maxAttempts: OPENAI_RECONNECT_ATTEMPTS });
+            reconnect.timer = setTimeout(connectToOpenAi, delayMs);
+        };
+
+        // Queue the hold audio behind whatever Sophie was saying, then repeat it after a short pause
+        const playHoldAudio = () => {
+            connection.send(JSON.stringify({
+                event: 'media',
+                streamSid: streamSid,
+                media: { payload: holdAudio.toString('base64') }
+            }));
+            recorder?.addAgentAudio(holdAudio.toString('base64'));
+            reconnect.holdTimer = setTimeout(playHoldAudio, holdAudio.length / 8 + HOLD_AUDIO_GAP_MS);  // 8 bytes per millisecond
+        };
+
+        // Stop the hold audio and drop whatever of it Twilio still has buffered
+        const stopHoldAudio = () => {
+            clearTimeout(reconnect.holdTimer);
+            connection.send(JSON.stringify({ event: 'clear', streamSid: streamSid }));
+            recorder?.clearAgentAudio();
+            markQueue.length = 0;  // The clear flushed these marks too
+            lastAssistantItem = null;
+        };
+
+        // Reconnected: replay the conversation so far and let Sophie pick up the thread
+        const resumeConversation = () => {
+            log.info('Reconnected to OpenAI', { attempts: reconnect.attempt });
+            incrementCounter('realtime_reconnects_total', { result: 'recovered' });
+            publish('state', { state: 'connected' });
+            stopHoldAudio();
+            reconnect = null;
+            responseActive = false;
+
+            if (queuedFirstMessage) return;  // The call hadn't started yet, the first message starts it as usual
+
+            for (const item of conversationReplay(firstMessageItem, session)) {
+                sendToOpenAi({ type: 'conversation.item.create', item: item });
+            }
+            sendToOpenAi({
+                type: 'response.create',
+                response: { modalities: ["text", "audio"], instructions: RESUME_INSTRUCTIONS }
+            });
+        };
+
+        // Every reconnect failed: hand the call to the tenant's fallback (voicemail or forward)
+        const recoveryFailed = async () => {
+            clearTimeout(reconnect.holdTimer);
+            const fallback = session.tenant.recoveryFallback;
+            log.error('Could not reconnect to OpenAI, using the recovery fallback', { fallback: fallback.action });
+            incrementCounter('realtime_reconnects_total', { result: 'failed' });
+            session.endReason = 'realtime_failure';
+
+            if (!twilioClient) {
+                connection.close();  // Without the REST API, closing the stream ends the call
+                return;
+            }
+            try {
+                if (fallback.action === 'forward') {
+                    const number = fallback.number || session.tenant.transfer?.numbers?.default;
+                    await transferCall(twilioClient, sessionId, number, { callerId: session.tenant.transfer?.callerId });
+                } else {
+                    await sendToVoicemail(twilioClient, sessionId, fallback.message, `${publicBaseUrl(req)}/voicemail-complete`);
+                }
+            } catch (error) {
+                log.error('Error applying the recovery fallback', { error });
+                connection.close();
+            }
+        };
 
         // Function to send the session configuration to OpenAI
         const sendSessionUpdate = () => {
@@ -184,64 +678,348 @@ fastify.register(async (fastify) => {
                     turn_detection: { type: 'server_vad' },  // Enable voice activity detection
                     input_audio_format: 'g711_ulaw',  // Audio format for input
                     output_audio_format: 'g711_ulaw',  // Audio format for output
-                    voice: VOICE,  // Use the defined voice for AI responses
-                    instructions: SYSTEM_MESSAGE,  // Provide the AI assistant's instructions
+                    voice: session.tenant.voice,  // Use the tenant's voice for AI responses
+                    instructions: session.outbound  // Provide the tenant's persona instructions, plus the purpose of outbound calls
+                        ? session.tenant.instructions + outboundInstructions(session.outbound)
+                        : session.tenant.instructions,
                     modalities: ["text", "audio"],  // Use both text and audio for interaction
-                    temperature: 0.8,  // Temperature for controlling the creativity of AI responses
+                    temperature: session.tenant.temperature,  // Temperature for controlling the creativity of AI responses
                     input_audio_transcription: {
                         "model": "whisper-1"  // Use the Whisper model for transcribing audio
                     },
-                    tools: [  // Define the tools (functions) the AI can use
-                        {
-                            type: "function",
-                            name: "question_and_answer",
-                            description: "Get answers to customer questions about automotive services and repairs",
-                            parameters: {
-                                type: "object",
-                                properties: {
-                                    "question": { "type": "string" }
-                                },
-                                required: ["question"]
-                            }
-                        },
-                        {
-                            type: "function",
-                            name: "book_tow",
-                            description: "Book a tow service for a customer",
-                            parameters: {
-                                type: "object",
-                                properties: {
-                                    "address": { "type": "string" }
-                                },
-                                required: ["address"]
-                            }
-                        }
-                    ],
+                    tools: toolRegistry.sessionTools(session.tenant.tools),  // The tools (functions) this tenant allows
                     tool_choice: "auto"  // Automatically choose the tool
                 }
             };
 
-            console.log('Sending session update:', JSON.stringify(sessionUpdate));
-            openAiWs.send(JSON.stringify(sessionUpdate));  // Send the session update to OpenAI
+            log.debug('Sending session update', { voice: sessionUpdate.session.voice, tools: sessionUpdate.session.tools.map(tool => tool.name), instructions: sessionUpdate.session.instructions });
+            sendToOpenAi(sessionUpdate);  // Send the session update to OpenAI
         };
 
         // Function to send the first message once OpenAI WebSocket is ready
         const sendFirstMessage = () => {
             if (queuedFirstMessage && openAiWsReady) {  // Check if we have a queued message and the connection is ready
-                console.log('Sending queued first message:', queuedFirstMessage);
-                openAiWs.send(JSON.stringify(queuedFirstMessage));  // Send the first message
-                openAiWs.send(JSON.stringify({ type: 'response.create' }));  // Trigger AI to generate a response
+                log.debug('Sending queued first message', { firstMessage: firstMessage });
+                sendToOpenAi(queuedFirstMessage);  // Send the first message
+                sendToOpenAi({ type: 'response.create' });  // Trigger AI to generate a response
                 queuedFirstMessage = null;  // Clear the queue
             }
         };
 
-        // Open event for when the OpenAI WebSocket connection is established
-        openAiWs.on('open', () => {
-            console.log('Connected to the OpenAI Realtime API');  // Log successful connection
-            openAiWsReady = true;  // Set the flag to true
-            sendSessionUpdate();  // Send session configuration
-            sendFirstMessage();  // Send the first message if queued
-        });
+        // Send an audio chunk to Twilio followed by a mark, so Twilio tells us when it has been played
+        const sendAudioToTwilio = (itemId, payload) => {
+            connection.send(JSON.stringify({
+                event: 'media',
+                streamSid: streamSid,
+                media: { payload: payload }  // Send audio back to Twilio
+            }));
+
+            recorder?.addAgentAudio(payload);
+
+            const chunkMs = Buffer.from(payload, 'base64').length / 8;  // g711 u-law at 8kHz is 8 bytes per millisecond
+            generatedAudioMs.set(itemId, (generatedAudioMs.get(itemId) || 0) + chunkMs);
+            lastAssistantItem = itemId;
+
+            const markName = `${itemId}:${++markCounter}`;
+            markQueue.push({ name: markName, itemId, chunkMs });
+            connection.send(JSON.stringify({
+                event: 'mark',
+                streamSid: streamSid,
+                mark: { name: markName }
+            }));
+        };
+
+        // Twilio echoes a mark once all audio sent before it has been played to the caller
+        const handleTwilioMark = (markName) => {
+            if (markName === CALL_ACTION_MARK) {
+                runPendingCallAction();  // Sophie's last words have been played
+                return;
+            }
+
+            const index = markQueue.findIndex(mark => mark.name === markName);
+            if (index === -1) return;  // Marks flushed by a 'clear' are no longer in the queue, so they are ignored
+
+            for (const mark of markQueue.splice(0, index + 1)) {
+                playedAudioMs.set(mark.itemId, (playedAudioMs.get(mark.itemId) || 0) + mark.chunkMs);
+            }
+            if (markQueue.length === 0 && !responseActive) {
+                startSilenceTimer();  // Sophie has finished speaking, it's the caller's turn
+            }
+        };
+
+        // Queue a transfer or hang-up for after Sophie's next reply
+        const runAfterReply = (endReason, run) => {
+            clearTimeout(pendingCallAction?.timer);
+            pendingCallAction = {
+                run,
+                endReason,
+                responseId: null,  // Filled in by the next response.created
+                timer: setTimeout(() => runPendingCallAction(), CALL_ACTION_TIMEOUT_MS)  // Don't wait forever for the reply
+            };
+            publish('state', { state: 'ending', endReason });
+        };
+
+        const runPendingCallAction = async () => {
+            const action = pendingCallAction;
+            if (!action) return;
+            pendingCallAction = null;
+            clearTimeout(action.timer);
+
+            session.endReason = action.endReason;
+            try {
+                await action.run();
+            } catch (error) {
+                log.error(`Error running ${action.endReason}`, { error });
+                connection.close();  // Ending our stream at least finishes the call
+            }
+        };
+
+        // Live call control for tool handlers (transfer_to_human, end_call)
+        const callControl = {
+            canTransfer: Boolean(twilioClient),
+            transferAfterReply: (number) => runAfterReply('transferred', async () => {
+                log.info('Transferring call', { number });
+                await transferCall(twilioClient, sessionId, number, { callerId: session.tenant.transfer?.callerId });
+            }),
+            hangUpAfterReply: () => runAfterReply('agent_ended', hangUp)
+        };
+
+        const hangUp = async () => {
+            log.info('Ending call');
+            if (twilioClient) {
+                await hangUpCall(twilioClient, sessionId);
+            } else {
+                connection.close();  // Without the REST API, closing the stream ends the call
+            }
+        };
+
+        // Have Sophie say something on our initiative; OpenAI rejects a response.create while another response is active,
+        // so it waits for that one to finish. Without instructions she simply replies to the conversation so far.
+        const promptSophie = (instructions = null) => {
+            if (responseActive) {
+                queuedPrompts.push({ instructions });  // Sent one per response.done
+                return;
+            }
+            sendToOpenAi({
+                type: 'response.create',
+                response: instructions ? { modalities: ["text", "audio"], instructions: instructions } : { modalities: ["text", "audio"] }
+            });
+        };
+
+        // Stop Sophie for the caller's keypad or a supervisor: cut off what is playing like a barge-in, and also cancel
+        // a reply that is still being generated but hasn't reached the caller yet
+        const interruptSophie = () => {
+            const playing = lastAssistantItem && markQueue.length > 0;
+            handleCallerInterruption();
+            if (!playing && responseActive) {
+                sendToOpenAi({ type: 'response.cancel' });
+            }
+        };
+
+        // Start (or restart) the silence countdown. Nothing is counted while a transfer/hang-up is pending or Sophie is reconnecting.
+        const startSilenceTimer = () => {
+            clearTimeout(silenceTimer);
+            const { silenceSeconds } = session.tenant.timeouts;
+            if (!silenceSeconds || pendingCallAction || reconnect || callEnded) return;
+            silenceTimer = setTimeout(handleSilence, silenceSeconds * 1000);
+        };
+
+        const stopSilenceTimer = () => {
+            clearTimeout(silenceTimer);
+            silenceTimer = null;
+        };
+
+        // The caller said nothing for silenceSeconds: check in, or say goodbye after maxReprompts check-ins
+        const handleSilence = () => {
+            silenceTimer = null;
+            if (silenceReprompts >= session.tenant.timeouts.maxReprompts) {
+                log.info('Caller stayed silent, ending the call', { reprompts: silenceReprompts });
+                runAfterReply('silence_timeout', hangUp);
+                promptSophie(SILENCE_GOODBYE_INSTRUCTIONS);
+                return;
+            }
+            silenceReprompts++;
+            log.info('Caller is silent, checking in', { reprompt: silenceReprompts });
+            promptSophie(SILENCE_REPROMPT_INSTRUCTIONS);
+        };
+
+        // The caller spoke or pressed a key, so the check-ins start over
+        const callerActive = () => {
+            silenceReprompts = 0;
+            stopSilenceTimer();
+        };
+
+        // Warn wrapUpWarningSeconds before the tenant's maximum call length, and end the call at the limit
+        const startCallLengthTimers = () => {
+            const { maxCallSeconds, wrapUpWarningSeconds } = session.tenant.timeouts;
+            if (!maxCallSeconds) return;
+            if (wrapUpWarningSeconds > 0 && wrapUpWarningSeconds < maxCallSeconds) {
+                wrapUpTimer = setTimeout(() => {
+                    if (pendingCallAction) return;  // Already on its way out
+                    log.info('Call is close to its maximum length', { maxCallSeconds });
+                    promptSophie(`The call will reach its time limit in about ${wrapUpWarningSeconds} seconds. Politely let the caller know you'll need to wrap up soon and help them finish what they called about.`);
+                }, (maxCallSeconds - wrapUpWarningSeconds) * 1000);
+            }
+            maxDurationTimer = setTimeout(() => {
+                if (pendingCallAction) return;  // A transfer or hang-up is already happening
+                log.info('Call reached its maximum length', { maxCallSeconds });
+                stopSilenceTimer();
+                interruptSophie();  // Cut Sophie off mid-sentence if she is talking
+                runAfterReply('max_duration', hangUp);
+                promptSophie(MAX_DURATION_GOODBYE_INSTRUCTIONS);
+            }, maxCallSeconds * 1000);
+        };
+
+        // The caller started talking: stop Sophie's audio and cut her reply down to what the caller heard
+        const handleCallerInterruption = () => {
+            if (!lastAssistantItem || markQueue.length === 0) return;  // Nothing is playing, nothing to interrupt
+
+            const itemId = lastAssistantItem;
+            const audioEndMs = Math.floor(playedAudioMs.get(itemId) || 0);
+            log.debug('Caller interrupted Sophie', { itemId, audioEndMs });
+
+            connection.send(JSON.stringify({ event: 'clear', streamSid: streamSid }));  // Drop the audio Twilio has buffered
+            recorder?.clearAgentAudio();  // The caller never heard the dropped audio, so it isn't recorded either
+            markQueue.length = 0;
+            lastAssistantItem = null;
+
+            if (responseActive) {
+                sendToOpenAi({ type: 'response.cancel' });  // Stop generating the rest of the reply
+            }
+            sendToOpenAi({
+                type: 'conversation.item.truncate',
+                item_id: itemId,
+                content_index: 0,
+                audio_end_ms: audioEndMs  // Keep only the audio that was actually played
+            });
+
+            interruptedItems.set(itemId, audioEndMs);
+
+            // If the agent line is already in the transcript, shorten it to the part the caller heard
+            const line = session.transcriptLines.find(entry => entry.itemId === itemId);
+            if (line) {
+                line.text = heardPortion(line.text, audioEndMs, generatedAudioMs.get(itemId));
+                session.transcript = formatTranscript(session.transcriptLines);
+            }
+        };
+
+        // The caller finished typing something on the keypad: run a shortcut, or tell Sophie what they entered
+        const handleKeypadEntry = (entry) => {
+            const key = loneKey(entry);
+            const shortcut = key && session.tenant.dtmf?.shortcuts?.[key];
+            if (shortcut) {
+                runKeypadShortcut(key, normalizeShortcut(shortcut));
+            } else if (entry.digits) {
+                log.info('Caller entered digits on the keypad', { text: entry.digits });
+                addTranscriptLine('User', `[entered ${entry.digits} on the keypad]`);
+                sendToOpenAi({
+                    type: 'conversation.item.create',
+                    item: {
+                        type: 'message',
+                        role: 'user',
+                        content: [{ type: 'input_text', text: `The caller entered ${entry.digits} on the keypad.` }]
+                    }
+                });
+                promptSophie();
+            }
+        };
+
+        // Keypad shortcuts: interrupt Sophie and transfer the caller, or repeat her last answer
+        const runKeypadShortcut = async (key, { action, department }) => {
+            if (pendingCallAction) {
+                log.info('Keypad shortcut ignored, the call is already being transferred or ended', { key, action });
+                return;
+            }
+            log.info('Keypad shortcut', { key, action });
+            interruptSophie();
+
+            if (action === 'repeat') {
+                const lastAnswer = session.transcriptLines.findLast(line => line.speaker === 'Agent');
+                if (!lastAnswer) return;
+                promptSophie(`The caller pressed ${key} to hear your last answer again. Repeat it word for word: "${lastAnswer.text}"`);
+                return;
+            }
+
+            const functionCall = await forceTransfer('keypad', `The caller pressed ${key} to talk to a person`, department, session.tenant.tools);
+            if (functionCall.error) {
+                promptSophie(`The caller pressed ${key} to talk to a person, but a transfer isn't possible right now. Apologize briefly and offer to help them yourself or take a message.`);
+            }
+        };
+
+        // Transfer without Sophie deciding to (keypad shortcut, supervisor). Same path as the transfer_to_human tool,
+        // so the handoff summary is sent and the transfer waits for Sophie's reply. Resolves to the function call record.
+        const forceTransfer = async (source, reason, department, enabledTools) => {
+            const functionCall = { name: 'transfer_to_human', callId: null, source: source, arguments: { reason, department }, at: new Date().toISOString() };
+            session.functionCalls.push(functionCall);
+            const startedAt = Date.now();
+            try {
+                const { output, instructions } = await toolRegistry.dispatch('transfer_to_human', JSON.stringify(functionCall.arguments), {
+                    session,
+                    webhookUrl: session.tenant.webhookUrl,
+                    enabledTools: enabledTools,
+                    callControl
+                });
+                functionCall.result = output;
+                functionCall.latencyMs = Date.now() - startedAt;
+                promptSophie(instructions || 'Tell the caller you are transferring them to a person now.');
+            } catch (error) {
+                functionCall.error = { code: error.code || 'execution_failed', message: error.message };
+                functionCall.latencyMs = Date.now() - startedAt;
+                log.error(`Transfer from ${source} failed`, { error });
+            }
+            finishToolCall(functionCall);
+            return functionCall;
+        };
+
+        // Tool call bookkeeping once a call has its result or error: metrics and the supervisor view
+        const finishToolCall = (functionCall) => {
+            recordToolMetrics(functionCall.name, functionCall);
+            publish('tool_call', {
+                name: functionCall.name,
+                source: functionCall.source || 'agent',
+                arguments: functionCall.arguments,
+                result: functionCall.result,
+                error: functionCall.error,
+                latencyMs: functionCall.latencyMs
+            });
+        };
+
+        // What supervisors can do from /monitor/:callSid; every action is kept in session.supervisorActions
+        const supervisorControls = {
+            // Add a note to the conversation that only Sophie sees. It is kept for replays after a reconnect.
+            whisper: (text) => {
+                const action = { action: 'whisper', text: text, at: new Date().toISOString() };
+                session.supervisorActions.push(action);
+                log.info('Supervisor whispered to Sophie', { text });
+                sendToOpenAi({ type: 'conversation.item.create', item: supervisorNoteItem(text) });
+                publish('supervisor', action);
+                return { status: 'sent', delivered: !reconnect };  // Sent with the replay once Sophie is back
+            },
+            transfer: async (department) => {
+                if (pendingCallAction) throw new Error('The call is already being transferred or ended');
+                if (!callControl.canTransfer) throw new Error('Call transfers need the Twilio REST API (TWILIO_ACCOUNT_SID)');
+                log.info('Supervisor transferred the call', { department });
+                interruptSophie();
+                const functionCall = await forceTransfer('supervisor', 'A supervisor transferred the call', department, null);  // Not limited to the tenant's tools
+                if (functionCall.error) throw new Error(functionCall.error.message);
+                const action = { action: 'transfer', department: functionCall.result.department, at: new Date().toISOString() };
+                session.supervisorActions.push(action);
+                publish('supervisor', action);
+                return { status: 'transferring', department: action.department };
+            },
+            endCall: () => {
+                if (pendingCallAction) throw new Error('The call is already being transferred or ended');
+                const action = { action: 'end_call', at: new Date().toISOString() };
+                session.supervisorActions.push(action);
+                log.info('Supervisor ended the call');
+                stopSilenceTimer();
+                interruptSophie();
+                runAfterReply('supervisor_ended', hangUp);
+                promptSophie(SUPERVISOR_GOODBYE_INSTRUCTIONS);
+                publish('supervisor', action);
+                return { status: 'ending' };
+            }
+        };
 
         // Handle messages from Twilio (media stream) and send them to OpenAI
         connection.on('message', (message) => {
@@ -251,246 +1029,501 @@ fastify.register(async (fastify) => {
                 if (data.event === 'start') {  // When the call starts
                     streamSid = data.start.streamSid;  // Get the stream ID
                     const callSid = data.start.callSid;  // Get the call SID
-                    const customParameters = data.start.customParameters;  // Get custom parameters (firstMessage, callerNumber)
+                    const customParameters = data.start.customParameters;  // Get custom parameters (firstMessage, callerNumber, token)
 
-                    console.log('CallSid:', callSid);
-                    console.log('StreamSid:', streamSid);
-                    console.log('Custom Parameters:', customParameters);
+                    // Only streams started from our own TwiML carry a valid token for this call
+                    if (!verifyStreamToken(customParameters?.token, callSid, STREAM_TOKEN_SECRET)) {
+                        rejectStream('invalid stream token');
+                        return;
+                    }
+                    clearTimeout(authTimeout);
+
+                    log = logger.child({ callSid });
+                    log.info('Media stream started', { streamSid });
 
-                    // Capture callerNumber and firstMessage from custom parameters
-                    const callerNumber = customParameters?.callerNumber || 'Unknown';
-                    session.callerNumber = callerNumber;  // Store the caller number in the session
-                    firstMessage = customParameters?.firstMessage || "Hello, how can I assist you?";  // Set the first message
-                    console.log('First Message:', firstMessage);
-                    console.log('Caller Number:', callerNumber);
+                    // Link this stream to the session created in /incoming-call
+                    sessionId = callSid;
+                    const existingSession = sessions.get(callSid);
+                    session = sessions.attach(callSid, {
+                        streamSid: streamSid,
+                        callerNumber: existingSession?.callerNumber || customParameters?.callerNumber || 'Unknown',
+                        tenant: existingSession?.tenant || tenants.get(customParameters?.tenantId) || tenants.resolve(null)
+                    });
+                    const callerNumber = session.callerNumber;
+
+                    keypad = new DtmfCollector(session.tenant.dtmf, handleKeypadEntry);
+                    startCallLengthTimers();
+                    callMonitor.callStarted(callSid, sessions.summary(callSid), supervisorControls);
+
+                    if (shouldRecord(session)) {
+                        recorder = new CallRecorder();
+                        session.recording = { url: `/recordings/${callSid}`, inProgress: true };
+                    }
+
+                    // Use the first message prepared in /incoming-call, falling back to the stream parameter
+                    firstMessage = session.firstMessage || customParameters?.firstMessage || "Hello, how can I assist you?";  // Set the first message
+                    log.info('Call connected', { callerNumber, tenant: session.tenant.id, direction: session.direction, recording: Boolean(recorder) });
+                    log.debug('First message', { firstMessage });
 
                     // Prepare the first message, but don't send it until the OpenAI connection is ready
-                    queuedFirstMessage = {
-                        type: 'conversation.item.create',
-                        item: {
-                            type: 'message',
-                            role: 'user',
-                            content: [{ type: 'input_text', text: firstMessage }]
-                        }
+                    firstMessageItem = {
+                        type: 'message',
+                        role: session.direction === 'outbound' ? 'system' : 'user',  // Outbound calls start with the call context
+                        content: [{ type: 'input_text', text: firstMessage }]
                     };
+                    queuedFirstMessage = { type: 'conversation.item.create', item: firstMessageItem };
 
-                    if (openAiWsReady) {
-                        sendFirstMessage();  // Send the first message if OpenAI is ready
-                    }
+                    connectToOpenAi();  // The first message is sent once the connection is open
 
+                } else if (!session) {
+                    return;  // Media, marks and keypresses only count once the stream is authenticated
                 } else if (data.event === 'media') {  // When media (audio) is received
-                    if (openAiWs.readyState === WebSocket.OPEN) {  // Check if the OpenAI WebSocket is open
-                        const audioAppend = {
-                            type: 'input_audio_buffer.append',  // Append audio data
-                            audio: data.media.payload  // Audio data from Twilio
-                        };
-                        openAiWs.send(JSON.stringify(audioAppend));  // Send the audio data to OpenAI
-                    }
+                    recorder?.addCallerAudio(data.media.payload, data.media.timestamp);
+                    sendToOpenAi({
+                        type: 'input_audio_buffer.append',  // Append audio data
+                        audio: data.media.payload  // Audio data from Twilio (dropped while reconnecting)
+                    });
+                } else if (data.event === 'mark') {  // Twilio finished playing audio up to this mark
+                    handleTwilioMark(data.mark?.name);
+                } else if (data.event === 'dtmf') {  // The caller pressed a key
+                    callerActive();
+                    startSilenceTimer();  // Stopped again by Sophie's reply, if the keypress leads to one
+                    keypad?.press(data.dtmf.digit);
+                } else if (data.event === 'stop') {  // Twilio ended the stream (hang-up, transfer...)
+                    log.info('Media stream stopped by Twilio');
+                    finishCall();
                 }
             } catch (error) {
-                console.error('Error parsing message:', error, 'Message:', message);  // Log any errors during message parsing
+                log.error('Error handling Twilio message', { error });  // Log any errors during message parsing
             }
         });
 
         // Handle incoming messages from OpenAI
-        openAiWs.on('message', async (data) => {
+        const handleOpenAiMessage = async (data) => {
             try {
                 const response = JSON.parse(data);  // Parse the message from OpenAI
 
                 // Handle audio responses from OpenAI
-                if (response.type === 'response.audio.delta' && response.delta) {
-                    connection.send(JSON.stringify({
-                        event: 'media',
-                        streamSid: streamSid,
-                        media: { payload: response.delta }  // Send audio back to Twilio
-                    }));
+                if (response.type === 'response.audio.delta' && response.delta && !interruptedItems.has(response.item_id)) {
+                    if (speechStoppedAt) {
+                        // The first audio of the reply: this is how long the caller waited for Sophie
+                        const latencyMs = Date.now() - speechStoppedAt;
+                        speechStoppedAt = null;
+                        observeHistogram('response_latency_seconds', {}, latencyMs / 1000);
+                        log.debug('Response latency', { latencyMs, itemId: response.item_id });
+                    }
+                    sendAudioToTwilio(response.item_id, response.delta);
                 }
 
-                // Handle function calls (for Q&A and booking a tow)
-                if (response.type === 'response.function_call_arguments.done') {
-                    console.log("Function called:", response);
-                    const functionName = response.name;
-                    const args = JSON.parse(response.arguments);  // Get the arguments passed to the function
-
-                    if (functionName === 'question_and_answer') {  // If the Q&A function is called
-                        const question = args.question;  // Get the question
-                        try {
-                            const webhookResponse = await sendToWebhook({
-                                route: "3",  // Route 3 for Q&A
-                                data1: question,
-                                data2: threadId
-                            });
-
-                            console.log("Webhook response:", webhookResponse);
-
-                            // Parse the webhook response
-                            const parsedResponse = JSON.parse(webhookResponse);
-                            const answerMessage = parsedResponse.message || "I'm sorry, I couldn't find an answer to that question.";
-
-                            // Update the threadId if it's provided in the response
-                            if (parsedResponse.thread) {
-                                threadId = parsedResponse.thread;
-                                console.log("Updated thread ID:", threadId);
-                            }
-
-                            const functionOutputEvent = {
-                                type: "conversation.item.create",
-                                item: {
-                                    type: "function_call_output",
-                                    role: "system",
-                                    output: answerMessage,  // Provide the answer from the webhook
-                                }
-                            };
-                            openAiWs.send(JSON.stringify(functionOutputEvent));  // Send the answer back to OpenAI
-
-                            // Trigger AI to generate a response based on the answer
-                            openAiWs.send(JSON.stringify({
-                                type: "response.create",
-                                response: {
-                                    modalities: ["text", "audio"],
-                                    instructions: `Respond to the user's question "${question}" based on this information: ${answerMessage}. Be concise and friendly.`,
-                                }
-                            }));
-                        } catch (error) {
-                            console.error('Error processing question:', error);
-                            sendErrorResponse();  // Send an error response if something goes wrong
-                        }
-                    } else if (functionName === 'book_tow') {  // If the book_tow function is called
-                        const address = args.address;  // Get the address
-                        try {
-                            const webhookResponse = await sendToWebhook({
-                                route: "4",  // Route 4 for booking a tow
-                                data1: session.callerNumber,
-                                data2: address  // Send the address to the webhook
-                            });
-
-                            console.log("Webhook response:", webhookResponse);
-
-                            // Parse the webhook response
-                            const parsedResponse = JSON.parse(webhookResponse);
-                            const bookingMessage = parsedResponse.message || "I'm sorry, I couldn't book the tow service at this time.";
-
-                            const functionOutputEvent = {
-                                type: "conversation.item.create",
-                                item: {
-                                    type: "function_call_output",
-                                    role: "system",
-                                    output: bookingMessage,  // Provide the booking status
-                                }
-                            };
-                            openAiWs.send(JSON.stringify(functionOutputEvent));  // Send the booking status back to OpenAI
-
-                            // Trigger AI to generate a response based on the booking
-                            openAiWs.send(JSON.stringify({
-                                type: "response.create",
-                                response: {
-                                    modalities: ["text", "audio"],
-                                    instructions: `Inform the user about the tow booking status: ${bookingMessage}. Be concise and friendly.`,
-                                }
-                            }));
-                        } catch (error) {
-                            console.error('Error booking tow:', error);
-                            sendErrorResponse();  // Send an error response if booking fails
-                        }
+                // Keep track of whether a response is being generated, so we only cancel active ones
+                if (response.type === 'response.created') {
+                    responseActive = true;
+                    stopSilenceTimer();
+                    if (pendingCallAction && !pendingCallAction.responseId) {
+                        pendingCallAction.responseId = response.response.id;  // The reply to wait for
+                    }
+                }
+
+                // The caller started speaking, handle barge-in
+                if (response.type === 'input_audio_buffer.speech_started') {
+                    speechStoppedAt = null;
+                    callerActive();
+                    handleCallerInterruption();
+                }
+
+                // The caller stopped speaking, the reply latency is measured from here
+                if (response.type === 'input_audio_buffer.speech_stopped') {
+                    speechStoppedAt = Date.now();
+                    startSilenceTimer();  // In case the caller's audio doesn't lead to a reply (a cough, background noise)
+                }
+
+                // Keep the latest rate limits for /metrics
+                if (response.type === 'rate_limits.updated') {
+                    for (const rateLimit of response.rate_limits || []) {
+                        setGauge('openai_rate_limit_limit', { name: rateLimit.name }, rateLimit.limit);
+                        setGauge('openai_rate_limit_remaining', { name: rateLimit.name }, rateLimit.remaining);
+                        setGauge('openai_rate_limit_reset_seconds', { name: rateLimit.name }, rateLimit.reset_seconds);
                     }
                 }
 
+                // Handle function calls defined in the tool config
+                if (response.type === 'response.function_call_arguments.done') {
+                    log.info('Function called', { name: response.name, callId: response.call_id, arguments: response.arguments });
+                    await handleFunctionCall(response);
+                }
+
                 // Log agent response
                 if (response.type === 'response.done') {
-                    const agentMessage = response.response.output[0]?.content?.find(content => content.transcript)?.transcript || 'Agent message not found';
-                    session.transcript += `Agent: ${agentMessage}\n`;  // Add agent's message to the transcript
-                    console.log(`Agent (${sessionId}): ${agentMessage}`);
+                    responseActive = false;
+                    if (pendingCallAction && pendingCallAction.responseId === response.response.id) {
+                        // Twilio echoes this mark once everything before it has been played
+                        connection.send(JSON.stringify({ event: 'mark', streamSid: streamSid, mark: { name: CALL_ACTION_MARK } }));
+                    }
+                    const agentItem = response.response.output[0];
+                    if (agentItem?.type !== 'function_call') {  // A function call's reply only comes after the tool result
+                        if (queuedPrompts.length > 0) {
+                            promptSophie(queuedPrompts.shift().instructions);
+                        } else if (markQueue.length === 0) {
+                            startSilenceTimer();  // Nothing left to play
+                        }
+                    }
+                    // Function calls are kept in session.functionCalls, not the transcript, and a reply cancelled before it started has nothing to add
+                    if (agentItem && agentItem.type !== 'function_call') {
+                        let agentMessage = agentItem?.content?.find(content => content.transcript)?.transcript || 'Agent message not found';
+                        if (agentItem && interruptedItems.has(agentItem.id)) {
+                            // The caller talked over this reply, only keep what they actually heard
+                            agentMessage = heardPortion(agentMessage, interruptedItems.get(agentItem.id), generatedAudioMs.get(agentItem.id));
+                        }
+                        addTranscriptLine('Agent', agentMessage, agentItem?.id);  // Add agent's message to the transcript
+                        log.info('Agent said', { text: agentMessage });
+                    }
                 }
 
                 // Log user transcription (input_audio_transcription.completed)
                 if (response.type === 'conversation.item.input_audio_transcription.completed' && response.transcript) {
                     const userMessage = response.transcript.trim();  // Get the user's transcribed message
-                    session.transcript += `User: ${userMessage}\n`;  // Add the user's message to the transcript
-                    console.log(`User (${sessionId}): ${userMessage}`);
+                    addTranscriptLine('User', userMessage, response.item_id);  // Add the user's message to the transcript
+                    log.info('User said', { text: userMessage });
                 }
 
                 // Log other relevant events
                 if (LOG_EVENT_TYPES.includes(response.type)) {
-                    console.log(`Received event: ${response.type}`, response);
+                    log.debug(`Received event: ${response.type}`, { event: response });
                 }
 
             } catch (error) {
-                console.error('Error processing OpenAI message:', error, 'Raw message:', data);
+                log.error('Error processing OpenAI message', { error });
             }
-        });
+        };
 
-        // Handle when the connection is closed
-        connection.on('close', async () => {
-            if (openAiWs.readyState === WebSocket.OPEN) {
-                openAiWs.close();  // Close the OpenAI WebSocket
+        // Clean up and report the call; runs once, on Twilio's stop event or when the socket closes
+        const finishCall = async () => {
+            if (callEnded) return;
+            callEnded = true;
+            keypad?.cancel();
+            clearTimeout(silenceTimer);
+            clearTimeout(wrapUpTimer);
+            clearTimeout(maxDurationTimer);
+            clearTimeout(authTimeout);
+            clearTimeout(pendingCallAction?.timer);
+            clearTimeout(reconnect?.timer);
+            clearTimeout(reconnect?.holdTimer);
+            if (!session) {
+                log.info('Media stream closed before it was linked to a call.');
+                return;  // The stream never started, there is no call to report
+            }
+            if (openAiWs?.readyState === WebSocket.OPEN) {
+                openAiWs.close();  // Close the OpenAI WebSocket (callEnded stops it from reconnecting)
             }
-            console.log(`Client disconnected (${sessionId}).`);
-            console.log('Full Transcript:');
-            console.log(session.transcript);  // Log the entire conversation transcript
+            log.info('Client disconnected', { callerNumber: session.callerNumber, endReason: session.endReason || 'caller_hangup' });
+            log.debug('Full transcript', { transcript: session.transcript });  // Log the entire conversation transcript
 
-            // Access the caller number from the session object
-            console.log('Final Caller Number:', session.callerNumber);
+            // Clean up the session before reporting, so a failing webhook can't leak it
+            sessions.end(sessionId);  // Remove the session from the session manager
 
-            await sendToWebhook({
-                route: "2",  // Route 2 for sending the transcript
-                data1: session.callerNumber,
-                data2: session.transcript  // Send the transcript to the webhook
-            });
+            // Write the recording at hang-up and link it from the call record
+            if (recorder) {
+                const recordingPath = `${RECORDINGS_DIR}/${sessionId}.wav`;
+                try {
+                    const { durationSeconds } = await recorder.save(recordingPath);
+                    session.recording = { url: `/recordings/${sessionId}`, durationSeconds: durationSeconds };
+                    log.info('Saved recording', { durationSeconds: Math.round(durationSeconds) });
+                } catch (error) {
+                    log.error('Error saving recording', { error });
+                    session.recording = null;
+                }
+            }
 
-            // Clean up the session
-            sessions.delete(sessionId);  // Remove the session from the Map
-        });
+            // Save the call locally first, so it is kept even if the webhook fails
+            session.endReason = session.endReason || 'caller_hangup';
+            callMonitor.callEnded(sessionId, session.endReason);
+            const record = buildCallRecord(session);
+            await callStore.save(record);
+            observeHistogram('call_duration_seconds', { direction: session.direction }, record.durationSeconds);
 
-        // Handle WebSocket errors
-        openAiWs.on('error', (error) => {
-            console.error('Error in the OpenAI WebSocket:', error);  // Log any errors in the OpenAI WebSocket
-        });
+            // Write the transcript to the outbox before the (slow) extraction, so a restart in between can't lose it.
+            // It is held until the extraction is done, then sent and retried until Make.com accepts it.
+            let outboxEntryId = null;
+            try {
+                outboxEntryId = await webhookOutbox.enqueue(session.tenant.webhookUrl, {
+                    route: "2",  // Route 2 for sending the transcript
+                    data1: session.callerNumber,
+                    data2: session.transcript,  // Send the transcript to the webhook
+                    data3: "",  // Structured caller details, filled in below (stays empty if extraction fails)
+                    mode: session.mode  // 'agent' or 'after_hours_agent'
+                }, { hold: true });
+            } catch (error) {
+                log.error('Error queueing transcript', { error });
+            }
+
+            // Pull the caller's details out of the transcript; without them the raw transcript still goes out
+            const extraction = await extractCallDetails(session, log);
+            if (extraction) {
+                await callStore.update(sessionId, { extraction: extraction });
+            }
+            if (outboxEntryId) {
+                await webhookOutbox.release(outboxEntryId, { data3: extraction ? JSON.stringify(extraction) : "" })
+                    .catch(error => log.error('Error updating the queued transcript', { error }));
+            }
+        };
+
+        connection.on('close', finishCall);
+
+        // Run a function call through the tool registry and send the result back with its call_id
+        async function handleFunctionCall({ name, call_id, arguments: rawArguments }) {
+            // Keep every function call with its result and latency for the call record
+            const functionCall = { name, callId: call_id, arguments: parseArguments(rawArguments), at: new Date().toISOString() };
+            session.functionCalls.push(functionCall);
+            const startedAt = Date.now();
+
+            try {
+                const { output, instructions } = await toolRegistry.dispatch(name, rawArguments, {
+                    session,
+                    webhookUrl: session.tenant.webhookUrl,
+                    enabledTools: session.tenant.tools,
+                    callControl,
+                    knowledgeBase
+                });
+                functionCall.result = output;
+                functionCall.latencyMs = Date.now() - startedAt;
+                finishToolCall(functionCall);
+                log.info('Function result', { name, latencyMs: functionCall.latencyMs, output });
+
+                sendFunctionOutput(call_id, output);
+
+                // Have Sophie answer with the function result; waits if another response started while the tool ran
+                promptSophie(instructions);
+            } catch (error) {
+                const toolError = error instanceof ToolError ? error : new ToolError('execution_failed', error.message);
+                functionCall.error = { code: toolError.code, message: toolError.message };
+                functionCall.latencyMs = Date.now() - startedAt;
+                finishToolCall(functionCall);
+                log.error('Error running function', { name, latencyMs: functionCall.latencyMs, code: toolError.code, error: toolError });
+
+                sendFunctionOutput(call_id, {
+                    error: { code: toolError.code, message: toolError.message, details: toolError.details }
+                });
+
+                if (toolError.code === 'invalid_arguments') {
+                    // Let the model see what was wrong so it can ask the caller again or correct itself
+                    promptSophie();
+                } else {
+                    sendErrorResponse();  // Send an error response if something goes wrong
+                }
+            }
+        }
+
+        // Attach a function result to the function call it answers
+        function sendFunctionOutput(callId, output) {
+            sendToOpenAi({
+                type: "conversation.item.create",
+                item: {
+                    type: "function_call_output",
+                    call_id: callId,
+                    output: JSON.stringify(output)
+                }
+            });
+        }
 
         // Helper function for sending error responses
         function sendErrorResponse() {
-            openAiWs.send(JSON.stringify({
-                type: "response.create",
-                response: {
-                    modalities: ["text", "audio"],
-                    instructions: "I apologize, but I'm having trouble processing your request right now. Is there anything else I can help you with?",
-                }
-            }));
+            promptSophie("I apologize, but I'm having trouble processing your request right now. Is there anything else I can help you with?");
         }
     });
-});
 
-// Function to send data to the Make.com webhook
-async function sendToWebhook(payload) {
-    console.log('Sending data to webhook:', JSON.stringify(payload, null, 2));  // Log the data being sent
-    try {
-        const response = await fetch(MAKE_WEBHOOK_URL, {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json'  // Set content type as JSON
-            },
-            body: JSON.stringify(payload)  // Send the payload as a JSON string
-        });
+    // Supervisor route: live transcript, tool calls and state of one call. Accepts whisper, transfer and end_call commands.
+    fastify.get('/monitor/:callSid', { websocket: true, preHandler: requireMonitorToken }, (socket, req) => {
+        const { callSid } = req.params;
+        const log = logger.child({ callSid });
+        const send = (event) => {
+            if (socket.readyState === WebSocket.OPEN) socket.send(JSON.stringify(event));
+        };
 
-        console.log('Webhook response status:', response.status);
-        if (response.ok) {
-            const responseText = await response.text();  // Get the text response from the webhook
-            console.log('Webhook response:', responseText);
-            return responseText;  // Return the response
-        } else {
-            console.error('Failed to send data to webhook:', response.statusText);
-            throw new Error('Webhook request failed');  // Throw an error if the request fails
+        const unwatch = callMonitor.watch(callSid, (event) => {
+            send(event);
+            if (event.type === 'call_ended') socket.close(1000, 'Call ended');
+        });
+        if (!unwatch) {
+            send({ type: 'error', error: 'Call not found' });
+            socket.close(1000, 'Call not found');
+            return;
         }
+        log.info('Supervisor started monitoring the call');
+        send({ type: 'snapshot', call: sessions.describe(callSid) });  // Catch up on the call so far
+
+        // Commands: { "type": "whisper", "text": "..." }, { "type": "transfer", "department": "towing" }, { "type": "end_call" }
+        socket.on('message', async (message) => {
+            let command;
+            try {
+                command = JSON.parse(message);
+            } catch {
+                send({ type: 'command_error', error: 'Commands must be JSON' });
+                return;
+            }
+            try {
+                const result = await callMonitor.command(callSid, command);
+                send({ type: 'command_result', command: command.type, ...result });
+            } catch (error) {
+                log.warn('Supervisor command failed', { command: command?.type, error: error.message });
+                send({ type: 'command_error', command: command?.type, error: error.message });
+            }
+        });
+
+        socket.on('close', () => {
+            unwatch();
+            log.info('Supervisor stopped monitoring the call');
+        });
+    });
+
+    // Supervisor route: the calls in progress, then an event for every call that starts or ends
+    fastify.get('/monitor', { websocket: true, preHandler: requireMonitorToken }, (socket) => {
+        const send = (event) => {
+            if (socket.readyState === WebSocket.OPEN) socket.send(JSON.stringify(event));
+        };
+        send({ type: 'calls', calls: sessions.list().filter(session => session.status === 'active') });
+        const unwatch = callMonitor.watchIndex(send);
+        socket.on('close', unwatch);
+    });
+});
+
+// The URL Twilio reaches us on
+function publicBaseUrl(request) {
+    return (PUBLIC_BASE_URL || `https://${request.headers.host}`).replace(/\/$/, '');
+}
+
+// TwiML that connects a call to the media stream, with a token that only works for this call
+function mediaStreamTwiml(request, session) {
+    const streamUrl = `${publicBaseUrl(request).replace(/^http/, 'ws')}/media-stream`;
+    return connectStreamTwiml(streamUrl, {
+        firstMessage: session.firstMessage,  // Send the first message as a parameter
+        callerNumber: session.callerNumber,  // Send caller number as a parameter
+        tenantId: session.tenant.id,  // Lets the stream find its profile even if the session expired
+        token: createStreamToken(session.callSid, STREAM_TOKEN_SECRET, STREAM_TOKEN_TTL_SECONDS)  // Proves the stream was started by this TwiML
+    });
+}
+
+// The tenant profile with the after-hours greeting, extra instructions and (a subset of the) tools
+function afterHoursProfile(tenant, afterHours) {
+    const tenantTools = tenant.tools || toolRegistry.sessionTools().map(tool => tool.name);
+    return {
+        ...tenant,
+        greeting: afterHours.greeting || tenant.greeting,
+        instructions: afterHours.instructions ? `${tenant.instructions}\n\n### After Hours\n${afterHours.instructions}` : tenant.instructions,
+        tools: afterHours.tools ? afterHours.tools.filter(tool => tenantTools.includes(tool)) : tenantTools
+    };
+}
+
+// TwiML for calls the schedule sends straight to the on-call number or to voicemail.
+// A forward without a number to forward to falls back to voicemail.
+function closedCallTwiml(request, mode, tenant, afterHours, log) {
+    const number = afterHours.forwardNumber || tenant.transfer?.numbers?.default;
+    if (mode === 'forward' && number) {
+        return { mode: 'forward', xml: dialTwiml(number, { callerId: tenant.transfer?.callerId }) };
+    }
+    if (mode === 'forward') {
+        log.warn('No number to forward to after hours, sending the caller to voicemail');
+    }
+    const message = afterHours.voicemailMessage || `Thanks for calling ${tenant.name}. We're closed right now. Please leave a message after the tone.`;
+    return { mode: 'voicemail', xml: voicemailTwiml(message, `${publicBaseUrl(request)}/voicemail-complete`) };
+}
+
+// Recording is on unless disabled globally, by the tenant, or the caller is on the tenant's opt-out list
+function shouldRecord(session) {
+    const settings = session.tenant.recording || {};
+    if (!RECORDINGS_ENABLED || settings.enabled === false) return false;
+    return !(settings.optOutNumbers || []).includes(session.callerNumber);
+}
+
+// Run the post-call extraction; returns null when it is off, there was nothing to extract, or it failed
+async function extractCallDetails(session, log) {
+    if (!callExtractor || !session.transcriptLines.some(line => line.speaker === 'User')) return null;
+    const startedAt = Date.now();
+    try {
+        const extraction = await callExtractor.extract(session.transcript);
+        incrementCounter('call_extractions_total', { result: 'ok' });
+        log.info('Extracted call details', { latencyMs: Date.now() - startedAt, result: extraction });
+        return extraction;
     } catch (error) {
-        console.error('Error sending data to webhook:', error);  // Log any errors in the request
-        throw error;
+        incrementCounter('call_extractions_total', { result: 'failed' });
+        log.error('Error extracting call details', { error, details: error.details });
+        return null;
+    }
+}
+
+// Count a finished function call and its duration per tool, and failures per error code
+function recordToolMetrics(name, functionCall) {
+    incrementCounter('tool_calls_total', { tool: name });
+    observeHistogram('tool_call_duration_seconds', { tool: name }, functionCall.latencyMs / 1000);
+    if (functionCall.error) {
+        incrementCounter('tool_call_errors_total', { tool: name, code: functionCall.error.code });
     }
 }
 
+// Function arguments as an object for the call record (raw string if it isn't valid JSON)
+function parseArguments(rawArguments) {
+    try {
+        return JSON.parse(rawArguments);
+    } catch {
+        return rawArguments;
+    }
+}
+
+// Greeting for a returning caller, built from their last stored call
+function historyGreeting(lastCall, tenant) {
+    const lastCallDate = new Date(lastCall.startedAt).toLocaleDateString('en-US', { month: 'long', day: 'numeric' });
+    const tools = [...new Set(lastCall.functionCalls.map(call => call.name))];
+    const topic = tools.includes('book_tow') ? ' about a tow' : '';
+    return `Welcome back to ${tenant.name}! I see you last called us${topic} on ${lastCallDate}. How can I help you today?`;
+}
+
+// The conversation so far as Realtime conversation items, for a new connection after a drop.
+// Function calls are summarized as system notes in the order they happened, supervisor whispers are replayed as-is.
+function conversationReplay(firstMessageItem, session) {
+    const entries = [
+        ...session.transcriptLines.map(line => ({ at: line.at, item: line.speaker === 'User'
+            ? { type: 'message', role: 'user', content: [{ type: 'input_text', text: line.text }] }
+            : { type: 'message', role: 'assistant', content: [{ type: 'text', text: line.text }] } })),
+        ...session.functionCalls.map(call => ({ at: call.at, item: {
+            type: 'message',
+            role: 'system',
+            content: [{ type: 'input_text', text: `Earlier in this call you called ${call.name} with ${JSON.stringify(call.arguments)}, result: ${JSON.stringify(call.result ?? call.error ?? null)}` }]
+        } })),
+        ...session.supervisorActions.filter(action => action.action === 'whisper').map(action => ({ at: action.at, item: supervisorNoteItem(action.text) }))
+    ].sort((a, b) => a.at.localeCompare(b.at));
+    return [firstMessageItem, ...entries.map(entry => entry.item)];
+}
+
+// Build the plain-text transcript from the individual transcript lines
+function formatTranscript(lines) {
+    return lines.map(line => `${line.speaker}: ${line.text}\n`).join('');
+}
+
+// Cut an agent reply down to the part the caller heard before interrupting.
+// The transcript is shortened in proportion to the audio played, rounded back to a whole word.
+function heardPortion(text, playedMs, generatedMs) {
+    if (!generatedMs || playedMs >= generatedMs) return text;
+
+    const cutAt = Math.floor(text.length * (playedMs / generatedMs));
+    const lastSpace = text.lastIndexOf(' ', cutAt);
+    const heard = text.slice(0, lastSpace > 0 ? lastSpace : cutAt).trim();
+    return heard ? `${heard}... [interrupted]` : '[interrupted]';
+}
+
+// A supervisor's whisper: a system note Sophie follows without reading it out
+function supervisorNoteItem(text) {
+    return {
+        type: 'message',
+        role: 'system',
+        content: [{ type: 'input_text', text: `Note from a supervisor listening to this call (follow it, but don't mention it to the caller): ${text}` }]
+    };
+}
+
 // Start the Fastify server
 fastify.listen({ port: PORT }, (err) => {
     if (err) {
-        console.error(err);
+        logger.error('Server failed to start', { error: err });
         process.exit(1);  // Exit if the server fails to start
     }
-    console.log(`Server is listening on port ${PORT}`);  // Log the port the server is running on
+    logger.info(`Server is listening on port ${PORT}`);  // Log the port the server is running on
 });
+
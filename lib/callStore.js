@@ -0,0 +1,133 @@
+import fs from 'fs';
+import path from 'path';
+import { logger } from './logger.js';
+
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+const ONE_DAY_MS = 24 * 60 * 60 * 1000;
+
+// Persists one structured record per call to a JSONL file and keeps an in-memory index for queries.
+// Records are appended; when a call is saved more than once the last line wins on reload.
+export class CallStore {
+    constructor(filePath) {
+        this.filePath = filePath;
+        this.records = new Map();  // callSid -> record
+        this.writeQueue = Promise.resolve();  // Serializes appends so lines never interleave
+        this.pendingUpdates = new Map();  // callSid -> fields that arrived before the record was saved
+    }
+
+    // Read existing records from disk (missing file = no calls yet)
+    load() {
+        fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+        if (!fs.existsSync(this.filePath)) return this;
+
+        const lines = fs.readFileSync(this.filePath, 'utf8').split('\n');
+        for (const line of lines) {
+            if (!line.trim()) continue;
+            try {
+                const record = JSON.parse(line);
+                this.records.set(record.callSid, record);
+            } catch (error) {
+                logger.error('Skipping unreadable call record line', { error: error.message });
+            }
+        }
+        logger.info(`Loaded ${this.records.size} call records from ${this.filePath}`);
+        return this;
+    }
+
+    // Store (or replace) a call record
+    save(record) {
+        if (this.pendingUpdates.has(record.callSid)) {
+            record = { ...record, ...this.pendingUpdates.get(record.callSid) };
+            this.pendingUpdates.delete(record.callSid);
+        }
+        this.records.set(record.callSid, record);
+        const line = `${JSON.stringify(record)}\n`;
+        this.writeQueue = this.writeQueue
+            .then(() => fs.promises.appendFile(this.filePath, line))
+            .catch(error => logger.error('Error saving call record', { callSid: record.callSid, error }));
+        return this.writeQueue;
+    }
+
+    // Add fields to a call record. Updates for a call that isn't saved yet are applied when it is.
+    update(callSid, fields) {
+        const record = this.records.get(callSid);
+        if (!record) {
+            this.pendingUpdates.set(callSid, { ...this.pendingUpdates.get(callSid), ...fields });
+            return this.writeQueue;
+        }
+        return this.save({ ...record, ...fields });
+    }
+
+    get(callSid) {
+        return this.records.get(callSid) || null;
+    }
+
+    // Filter calls by caller number, start date range and tool used; newest first.
+    // A date-only `to` (2026-10-19) includes that whole day.
+    query({ caller, from, to, tool, limit = 100 } = {}) {
+        const fromTime = from ? new Date(from).getTime() : -Infinity;
+        const toTime = to ? new Date(to).getTime() + (DATE_ONLY.test(to) ? ONE_DAY_MS - 1 : 0) : Infinity;
+
+        return [...this.records.values()]
+            .filter(record => !caller || sameNumber(record.callerNumber, caller))
+            .filter(record => {
+                const startedAt = new Date(record.startedAt).getTime();
+                return startedAt >= fromTime && startedAt <= toTime;
+            })
+            .filter(record => !tool || record.functionCalls.some(call => call.name === tool))
+            .sort((a, b) => new Date(b.startedAt) - new Date(a.startedAt))
+            .slice(0, limit);
+    }
+
+    // Most recent call from a phone number, if any
+    latestForCaller(callerNumber) {
+        return this.query({ caller: callerNumber, limit: 1 })[0] || null;
+    }
+}
+
+// Phone numbers match on their digits, so an unencoded "+" in a query string (which arrives as a space) or
+// formatting like "(555) 555-0100" doesn't hide a caller. Values without digits ("Unknown") must match exactly.
+function sameNumber(number, query) {
+    const digits = String(query).replace(/\D/g, '');
+    if (!digits) return String(number).trim() === String(query).trim();
+    return String(number).replace(/\D/g, '') === digits;
+}
+
+// Build the record for a finished call from its session
+export function buildCallRecord(session, endedAt = new Date()) {
+    const startedAt = session.connectedAt || session.createdAt;
+    return {
+        callSid: session.callSid,
+        direction: session.direction,
+        mode: session.mode || 'agent',  // agent, after_hours_agent, forward or voicemail
+        callerNumber: session.callerNumber,  // For outbound calls, the number we called
+        tenantId: session.tenant?.id || null,
+        callDetails: session.callDetails,
+        startedAt: startedAt.toISOString(),
+        endedAt: endedAt.toISOString(),
+        durationSeconds: Math.round((endedAt - startedAt) / 1000),
+        endReason: session.endReason || 'unknown',
+        turns: session.transcriptLines.map(({ speaker, text, at }) => ({ speaker, text, at })),
+        functionCalls: session.functionCalls,
+        supervisorActions: session.supervisorActions || [],  // Whispers, transfers and hang-ups from /monitor
+        recording: session.recording || null,  // { url, durationSeconds } when the call was recorded
+        outbound: session.outbound ? { purpose: session.outbound.purpose, context: session.outbound.context } : null,
+        outcome: session.outcome || null,  // Twilio's final status for outbound calls
+        extraction: null  // Structured caller details, added once the post-call extraction is done
+    };
+}
+
+// Short form of a record for list views
+export function summarizeCallRecord(record) {
+    return {
+        callSid: record.callSid,
+        direction: record.direction || 'inbound',
+        callerNumber: record.callerNumber,
+        startedAt: record.startedAt,
+        endedAt: record.endedAt,
+        durationSeconds: record.durationSeconds,
+        endReason: record.endReason,
+        turns: record.turns.length,
+        tools: [...new Set(record.functionCalls.map(call => call.name))]
+    };
+}
@@ -0,0 +1,57 @@
+// Keypad shortcut actions a tenant can map keys to
+export const KEYPAD_ACTIONS = ['transfer', 'repeat'];
+
+// Collects DTMF digits from the media stream into entries (a phone number, a repair order number, a zip code...).
+// An entry ends when the caller presses an end key, pauses longer than the inter-digit timeout,
+// or reaches maxDigits. onEntry gets { digits, endKey } (endKey is null when the entry ended otherwise).
+export class DtmfCollector {
+    constructor({ endKeys = ['#'], interDigitTimeoutMs = 3000, maxDigits = 20 } = {}, onEntry) {
+        this.endKeys = endKeys;
+        this.interDigitTimeoutMs = interDigitTimeoutMs;
+        this.maxDigits = maxDigits;
+        this.onEntry = onEntry;
+        this.digits = '';
+        this.timer = null;
+    }
+
+    press(digit) {
+        clearTimeout(this.timer);
+        if (this.endKeys.includes(digit)) {
+            this.finish(digit);
+            return;
+        }
+
+        this.digits += digit;
+        if (this.digits.length >= this.maxDigits) {
+            this.finish(null);
+        } else {
+            this.timer = setTimeout(() => this.finish(null), this.interDigitTimeoutMs);
+        }
+    }
+
+    finish(endKey) {
+        clearTimeout(this.timer);
+        const digits = this.digits;
+        this.digits = '';
+        this.onEntry({ digits, endKey });
+    }
+
+    // Drop a half-typed entry (the call is over)
+    cancel() {
+        clearTimeout(this.timer);
+        this.digits = '';
+    }
+}
+
+// The key an entry stands for when it is a lone keypress: a single digit, or an end key pressed on its own.
+// Shortcuts only fire for lone keys, so an order number starting with 0 doesn't trigger "0 -> transfer".
+export function loneKey({ digits, endKey }) {
+    if (digits.length === 1) return digits;
+    if (digits.length === 0) return endKey;
+    return null;
+}
+
+// Shortcut config values are an action name or { action, department }
+export function normalizeShortcut(shortcut) {
+    return typeof shortcut === 'string' ? { action: shortcut } : shortcut;
+}
@@ -0,0 +1,82 @@
+import fs from 'fs';
+import fetch from 'node-fetch';  // Module to make HTTP requests
+import { validateSchema } from './schema.js';
+
+// Error for an extraction that failed or returned data that doesn't match the schema
+export class ExtractionError extends Error {
+    constructor(message, details) {
+        super(message);
+        this.name = 'ExtractionError';
+        this.details = details;
+    }
+}
+
+// Post-call extraction: runs a finished call's transcript through a chat completions endpoint with a
+// JSON schema (name, vehicle, issue...) and checks the answer against that schema.
+// The config file has the model, the instructions and the schema.
+export class CallExtractor {
+    constructor({ model, instructions, schema }, { apiUrl, apiKey, timeoutMs = 15000 }) {
+        this.model = model;
+        this.instructions = instructions;
+        this.schema = schema;
+        this.apiUrl = apiUrl;  // Any OpenAI-compatible chat completions URL, e.g. a local stand-in for testing
+        this.apiKey = apiKey;
+        this.timeoutMs = timeoutMs;
+    }
+
+    static load(configPath, options) {
+        const config = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+        if (!config.model || !config.schema) {
+            throw new Error(`Extraction config needs a model and a schema (${configPath})`);
+        }
+        return new CallExtractor(config, options);
+    }
+
+    // The structured details of a call, or an ExtractionError
+    async extract(transcript) {
+        let response;
+        try {
+            response = await fetch(this.apiUrl, {
+                method: 'POST',
+                headers: {
+                    Authorization: `Bearer ${this.apiKey}`,
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({
+                    model: this.model,
+                    temperature: 0,
+                    messages: [
+                        { role: 'system', content: this.instructions },
+                        { role: 'user', content: transcript }
+                    ],
+                    response_format: {
+                        type: 'json_schema',
+                        json_schema: { name: 'call_details', strict: true, schema: this.schema }
+                    }
+                }),
+                signal: AbortSignal.timeout(this.timeoutMs)
+            });
+        } catch (error) {
+            throw new ExtractionError(error.name === 'TimeoutError' || error.name === 'AbortError'
+                ? `Extraction timed out after ${this.timeoutMs}ms`
+                : `Extraction request failed: ${error.message}`);
+        }
+        if (!response.ok) {
+            throw new ExtractionError(`Extraction request failed: ${response.status} ${response.statusText}`);
+        }
+
+        const body = await response.json();
+        let details;
+        try {
+            details = JSON.parse(body.choices?.[0]?.message?.content);
+        } catch {
+            throw new ExtractionError('Extraction response is not valid JSON');
+        }
+
+        const errors = validateSchema(this.schema, details);
+        if (errors.length > 0) {
+            throw new ExtractionError('Extraction does not match the schema', errors);
+        }
+        return details;
+    }
+}
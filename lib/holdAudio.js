@@ -0,0 +1,52 @@
+import fs from 'fs';
+import { SAMPLE_RATE, linearToMulaw } from './mulaw.js';
+
+const WAVE_FORMAT_MULAW = 7;
+
+// Load the audio played to the caller while the assistant reconnects.
+// Accepts an 8kHz mono u-law WAV, or raw u-law (.ulaw/.raw). Returns the u-law bytes.
+export function loadHoldAudio(filePath) {
+    const file = fs.readFileSync(filePath);
+    if (file.toString('ascii', 0, 4) !== 'RIFF') {
+        return file;  // Raw u-law
+    }
+
+    let offset = 12;
+    let format = null;
+    while (offset + 8 <= file.length) {
+        const chunkId = file.toString('ascii', offset, offset + 4);
+        const chunkSize = file.readUInt32LE(offset + 4);
+        if (chunkId === 'fmt ') {
+            format = {
+                audioFormat: file.readUInt16LE(offset + 8),
+                channels: file.readUInt16LE(offset + 10),
+                sampleRate: file.readUInt32LE(offset + 12)
+            };
+        } else if (chunkId === 'data') {
+            if (!format || format.audioFormat !== WAVE_FORMAT_MULAW || format.channels !== 1 || format.sampleRate !== SAMPLE_RATE) {
+                throw new Error(`${filePath} must be an 8kHz mono u-law WAV file`);
+            }
+            return file.subarray(offset + 8, offset + 8 + chunkSize);
+        }
+        offset += 8 + chunkSize + (chunkSize % 2);  // Chunks are padded to an even size
+    }
+    throw new Error(`${filePath} has no audio data`);
+}
+
+// Fallback when no hold audio file is configured: two soft chimes
+export function holdChime() {
+    const tones = [{ frequency: 660, ms: 180 }, { gapMs: 120 }, { frequency: 880, ms: 260 }, { gapMs: 400 }];
+    const samples = [];
+    for (const tone of tones) {
+        const count = ((tone.ms ?? tone.gapMs) * SAMPLE_RATE) / 1000;
+        for (let i = 0; i < count; i++) {
+            if (!tone.frequency) {
+                samples.push(linearToMulaw(0));
+                continue;
+            }
+            const fade = Math.min(1, i / 80, (count - i) / 80);  // Avoid clicks at the edges
+            samples.push(linearToMulaw(Math.round(Math.sin((2 * Math.PI * tone.frequency * i) / SAMPLE_RATE) * 6000 * fade)));
+        }
+    }
+    return Buffer.from(samples);
+}
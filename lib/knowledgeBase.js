@@ -0,0 +1,273 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { logger } from './logger.js';
+
+const DOCUMENT_EXTENSIONS = ['.md', '.markdown', '.csv', '.json'];
+const CHUNK_WORDS = 150;  // Long Markdown sections are split into windows of this many words...
+const CHUNK_OVERLAP_WORDS = 30;  // ...overlapping a little, so an answer on a window boundary isn't lost
+const BM25_K1 = 1.2;  // Term frequency saturation
+const BM25_B = 0.75;  // Document length normalization
+const RELATIVE_SCORE_CUTOFF = 0.5;  // Answers only include passages scoring at least half as well as the best one
+
+// Words that say nothing about what a question is about
+const STOPWORDS = new Set([
+    'a', 'an', 'and', 'are', 'as', 'at', 'be', 'but', 'by', 'can', 'could', 'do', 'does', 'for', 'from', 'get', 'have', 'has',
+    'how', 'i', 'if', 'in', 'is', 'it', 'its', 'me', 'my', 'of', 'on', 'or', 'our', 'please', 'so', 'that', 'the', 'their',
+    'there', 'this', 'to', 'us', 'was', 'we', 'what', 'when', 'where', 'which', 'who', 'why', 'will', 'with', 'would', 'you', 'your'
+]);
+
+// Documents Sophie can answer questions from, searched offline with BM25.
+// Markdown files are split by heading, CSV files by row and JSON files by entry; every chunk gets a source ID
+// like "faq.md#opening-hours", "services.csv#row-3" or "policies.json#warranty".
+// Files in a subdirectory named after a tenant ID are only searched for that tenant's calls; top-level files are shared.
+export class KnowledgeBase {
+    constructor(directory, { minScore = 1, minCoverage = 0.5 } = {}) {
+        this.directory = directory;
+        this.minScore = minScore;  // An answer is only trusted above this BM25 score...
+        this.minCoverage = minCoverage;  // ...and when it contains at least this share of the question's words
+        this.chunks = [];
+        this.documentFrequency = new Map();  // term -> number of chunks containing it
+        this.averageLength = 0;
+        this.documents = 0;
+        this.skipped = [];  // Documents that could not be read or parsed in the last indexing run
+        this.indexedAt = null;
+    }
+
+    // Read and index every document; the new index replaces the old one only once it is complete
+    async index() {
+        const files = await listDocuments(this.directory);
+        const chunks = [];
+        const skipped = [];
+        for (const file of files) {
+            const relativePath = path.relative(this.directory, file).split(path.sep).join('/');
+            const segments = relativePath.split('/');
+            const tenantId = segments.length > 1 ? segments[0] : null;
+            try {
+                const content = await fs.readFile(file, 'utf8');
+                for (const chunk of chunkDocument(relativePath, content)) {
+                    const terms = tokenize(`${chunk.title || ''} ${chunk.text}`);
+                    chunks.push({ ...chunk, tenantId, terms: countTerms(terms), length: terms.length });
+                }
+            } catch (error) {
+                logger.error('Knowledge base document skipped', { file: relativePath, error: error.message });
+                skipped.push({ file: relativePath, error: error.message });
+            }
+        }
+
+        const documentFrequency = new Map();
+        for (const chunk of chunks) {
+            for (const term of chunk.terms.keys()) {
+                documentFrequency.set(term, (documentFrequency.get(term) || 0) + 1);
+            }
+        }
+
+        this.chunks = chunks;
+        this.documentFrequency = documentFrequency;
+        this.averageLength = chunks.length > 0 ? chunks.reduce((sum, chunk) => sum + chunk.length, 0) / chunks.length : 0;
+        this.documents = files.length - skipped.length;
+        this.skipped = skipped;
+        this.indexedAt = new Date();
+        logger.info(`Indexed ${chunks.length} knowledge base passages from ${this.documents} documents in ${this.directory}`);
+        return this.stats();
+    }
+
+    stats() {
+        return {
+            documents: this.documents,
+            passages: this.chunks.length,
+            skipped: this.skipped,
+            indexedAt: this.indexedAt ? this.indexedAt.toISOString() : null
+        };
+    }
+
+    // The best passages for a query: [{ id, title, text, score, coverage }], best first
+    search(query, { tenantId = null, limit = 3 } = {}) {
+        const queryTerms = [...new Set(tokenize(query))];
+        if (queryTerms.length === 0 || this.chunks.length === 0) return [];
+
+        return this.chunks
+            .filter(chunk => !chunk.tenantId || chunk.tenantId === tenantId)
+            .map(chunk => {
+                let score = 0;
+                let matched = 0;
+                for (const term of queryTerms) {
+                    const frequency = chunk.terms.get(term);
+                    if (!frequency) continue;
+                    matched++;
+                    const chunksWithTerm = this.documentFrequency.get(term);
+                    const idf = Math.log(1 + (this.chunks.length - chunksWithTerm + 0.5) / (chunksWithTerm + 0.5));
+                    score += idf * (frequency * (BM25_K1 + 1)) / (frequency + BM25_K1 * (1 - BM25_B + BM25_B * chunk.length / this.averageLength));
+                }
+                return { chunk, score, coverage: matched / queryTerms.length };
+            })
+            .filter(result => result.score > 0)
+            .sort((a, b) => b.score - a.score)
+            .slice(0, limit)
+            .map(({ chunk, score, coverage }) => ({
+                id: chunk.id,
+                title: chunk.title,
+                text: chunk.text,
+                score: Math.round(score * 100) / 100,
+                coverage: Math.round(coverage * 100) / 100
+            }));
+    }
+
+    // Search and decide whether the best passage is good enough to answer from: { confident, passages }
+    answer(question, options) {
+        const results = this.search(question, options);
+        const best = results[0];
+        const confident = Boolean(best) && best.score >= this.minScore && best.coverage >= this.minCoverage;
+        const passages = results.filter(result => result.score >= best.score * RELATIVE_SCORE_CUTOFF);
+        return { confident, passages };
+    }
+}
+
+// Every supported document under the directory (none if it doesn't exist)
+async function listDocuments(directory) {
+    let entries;
+    try {
+        entries = await fs.readdir(directory, { recursive: true, withFileTypes: true });
+    } catch (error) {
+        if (error.code === 'ENOENT') return [];
+        throw error;
+    }
+    return entries
+        .filter(entry => entry.isFile() && DOCUMENT_EXTENSIONS.includes(path.extname(entry.name).toLowerCase()))
+        .map(entry => path.join(entry.parentPath ?? entry.path, entry.name))
+        .sort();
+}
+
+// Split a document into { id, title, text } chunks according to its type
+function chunkDocument(relativePath, content) {
+    const extension = path.extname(relativePath).toLowerCase();
+    if (extension === '.csv') return chunkCsv(relativePath, content);
+    if (extension === '.json') return chunkJson(relativePath, JSON.parse(content));
+    return chunkMarkdown(relativePath, content);
+}
+
+// One chunk per heading section, with long sections split into overlapping windows
+function chunkMarkdown(relativePath, content) {
+    const sections = [];
+    let current = { title: null, lines: [] };
+    for (const line of content.split(/\r?\n/)) {
+        const heading = line.match(/^#{1,6}\s+(.*)$/);
+        if (heading) {
+            sections.push(current);
+            current = { title: heading[1].trim(), lines: [] };
+        } else {
+            current.lines.push(line);
+        }
+    }
+    sections.push(current);
+
+    const chunks = [];
+    const usedAnchors = new Map();
+    for (const section of sections) {
+        const words = section.lines.join(' ').split(/\s+/).filter(Boolean);
+        if (words.length === 0) continue;
+
+        const baseAnchor = slugify(section.title || 'intro');
+        const count = (usedAnchors.get(baseAnchor) || 0) + 1;
+        usedAnchors.set(baseAnchor, count);
+        const anchor = count > 1 ? `${baseAnchor}-${count}` : baseAnchor;
+
+        for (let start = 0, part = 1; start < words.length; start += CHUNK_WORDS - CHUNK_OVERLAP_WORDS, part++) {
+            chunks.push({
+                id: `${relativePath}#${part > 1 ? `${anchor}-part-${part}` : anchor}`,
+                title: section.title,
+                text: words.slice(start, start + CHUNK_WORDS).join(' ')
+            });
+            if (start + CHUNK_WORDS >= words.length) break;
+        }
+    }
+    return chunks;
+}
+
+// One chunk per row, written out as "column: value" pairs
+function chunkCsv(relativePath, content) {
+    const [header, ...rows] = parseCsv(content);
+    if (!header) return [];
+    return rows
+        .map((row, index) => ({
+            id: `${relativePath}#row-${index + 1}`,
+            title: row[0] || null,
+            text: header.map((column, columnIndex) => row[columnIndex] ? `${column}: ${row[columnIndex]}` : null).filter(Boolean).join('. ')
+        }))
+        .filter(chunk => chunk.text);
+}
+
+// One chunk per entry of an array (or of { "entries": [...] }); entries are strings or objects such as { id, question, answer }
+function chunkJson(relativePath, data) {
+    const entries = Array.isArray(data) ? data : data.entries || [data];
+    return entries.map((entry, index) => {
+        if (typeof entry === 'string') {
+            return { id: `${relativePath}#${index + 1}`, title: null, text: entry };
+        }
+        const values = Object.entries(entry)
+            .filter(([key, value]) => key !== 'id' && value !== null && typeof value !== 'object')
+            .map(([, value]) => String(value));
+        return {
+            id: `${relativePath}#${entry.id ?? index + 1}`,
+            title: entry.title || entry.question || null,
+            text: values.join('\n')
+        };
+    });
+}
+
+// Rows of fields; handles quoted fields with commas, quotes ("") and line breaks
+function parseCsv(content) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+    for (let index = 0; index < content.length; index++) {
+        const char = content[index];
+        if (quoted) {
+            if (char === '"' && content[index + 1] === '"') {
+                field += '"';
+                index++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',') {
+            row.push(field.trim());
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && content[index + 1] === '\n') index++;
+            row.push(field.trim());
+            if (row.some(Boolean)) rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+    row.push(field.trim());
+    if (row.some(Boolean)) rows.push(row);
+    return rows;
+}
+
+// Lowercased words without stopwords, with a light plural/possessive stem ("hours" -> "hour", "bart's" -> "bart")
+function tokenize(text) {
+    return text.toLowerCase()
+        .replace(/['’]s\b/g, '')
+        .split(/[^a-z0-9]+/)
+        .filter(word => word && !STOPWORDS.has(word))
+        .map(word => (word.length > 3 && word.endsWith('s') && !word.endsWith('ss') ? word.slice(0, -1) : word));
+}
+
+function countTerms(terms) {
+    const counts = new Map();
+    for (const term of terms) {
+        counts.set(term, (counts.get(term) || 0) + 1);
+    }
+    return counts;
+}
+
+function slugify(text) {
+    return text.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'section';
+}
@@ -0,0 +1,87 @@
+// Structured JSON logging: one JSON object per line, e.g.
+// {"time":"...","level":"info","msg":"Call connected","callSid":"CA123","tenant":"bart-automotive"}
+// Phone numbers and conversation text are redacted unless debug mode is on.
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+// Fields that hold what the caller or Sophie said (or data derived from it)
+const CONVERSATION_FIELDS = new Set([
+    'transcript', 'text', 'firstMessage', 'instructions', 'question', 'answer', 'arguments', 'result', 'output',
+    'summary', 'payload', 'responseText', 'purpose', 'context'
+]);
+// Fields that hold a phone number
+const PHONE_FIELDS = new Set(['callerNumber', 'number', 'to', 'from', 'To', 'From', 'Caller', 'Called']);
+const PHONE_NUMBER = /\+\d{7,15}\b/g;  // E.164, as Twilio sends them
+
+let minLevel = LEVELS.info;
+let debugMode = false;
+
+// Set the lowest level that is written, and whether debug mode (no redaction) is on
+export function configureLogger({ level = 'info', debug = false } = {}) {
+    if (!LEVELS[level]) throw new Error(`Unknown log level "${level}", use one of ${Object.keys(LEVELS).join(', ')}`);
+    minLevel = LEVELS[level];
+    debugMode = debug;
+}
+
+export class Logger {
+    constructor(fields = {}) {
+        this.fields = fields;  // Added to every line, e.g. { callSid }
+    }
+
+    // A logger that adds extra fields to every line
+    child(fields) {
+        return new Logger({ ...this.fields, ...fields });
+    }
+
+    debug(message, fields) { this.write('debug', message, fields); }
+    info(message, fields) { this.write('info', message, fields); }
+    warn(message, fields) { this.write('warn', message, fields); }
+    error(message, fields) { this.write('error', message, fields); }
+
+    write(level, message, fields = {}) {
+        if (LEVELS[level] < minLevel) return;
+        const entry = { time: new Date().toISOString(), level, msg: message, ...this.fields, ...fields };
+        const line = JSON.stringify(debugMode ? entry : redact(entry), errorReplacer);
+        (LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout).write(`${line}\n`);
+    }
+}
+
+export const logger = new Logger();
+
+// Mask phone numbers and drop conversation text, keeping enough to correlate log lines
+export function redact(value, key = null) {
+    if (value === null || value === undefined) return value;
+    if (key && CONVERSATION_FIELDS.has(key)) {
+        return typeof value === 'string' ? `[redacted ${value.length} chars]` : '[redacted]';
+    }
+    if (typeof value === 'string') {
+        return key && PHONE_FIELDS.has(key) ? maskPhoneNumber(value) : value.replace(PHONE_NUMBER, maskPhoneNumber);
+    }
+    if (value instanceof Error) {
+        return redact(serializeError(value));
+    }
+    if (value instanceof Date) {
+        return value.toISOString();
+    }
+    if (Array.isArray(value)) {
+        return value.map(item => redact(item));
+    }
+    if (typeof value === 'object') {
+        return Object.fromEntries(Object.entries(value).map(([name, item]) => [name, redact(item, name)]));
+    }
+    return value;
+}
+
+// "+15555550100" -> "+*******0100"
+function maskPhoneNumber(number) {
+    if (number.length <= 4) return number;
+    return number.slice(0, -4).replace(/\d/g, '*') + number.slice(-4);
+}
+
+function serializeError(error) {
+    return { name: error.name, message: error.message, code: error.code, stack: error.stack };
+}
+
+// Errors have no enumerable properties, so JSON.stringify would turn them into {}
+function errorReplacer(key, value) {
+    return value instanceof Error ? serializeError(value) : value;
+}
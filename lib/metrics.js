@@ -0,0 +1,91 @@
+// In-process metrics (counters, gauges and histograms), keyed by metric name and label values,
+// and rendered in the Prometheus text format for GET /metrics
+const DEFINITIONS = {
+    calls_total: { type: 'counter', help: 'Calls handled, by direction' },
+    calls_active: { type: 'gauge', help: 'Calls in progress, by status (pending = waiting for the media stream)' },
+    call_duration_seconds: { type: 'histogram', help: 'Duration of bridged calls', buckets: [15, 30, 60, 120, 300, 600, 1200, 1800] },
+    response_latency_seconds: { type: 'histogram', help: 'Time from the caller stopping speaking to the first audio of the reply', buckets: [0.25, 0.5, 0.75, 1, 1.5, 2, 3, 5, 10] },
+    tool_calls_total: { type: 'counter', help: 'Function calls, by tool' },
+    tool_call_errors_total: { type: 'counter', help: 'Failed function calls, by tool and error code' },
+    tool_call_duration_seconds: { type: 'histogram', help: 'Function call duration, by tool', buckets: [0.1, 0.25, 0.5, 1, 2, 5, 10, 20] },
+    call_extractions_total: { type: 'counter', help: 'Post-call extractions, by result' },
+    knowledge_answers_total: { type: 'counter', help: 'question_and_answer answers, by source (knowledge_base, webhook, knowledge_base_fallback)' },
+    webhook_failures_total: { type: 'counter', help: 'Webhook requests that failed after all retries, by route' },
+    rejected_requests_total: { type: 'counter', help: 'Requests rejected by authentication, by route' },
+    realtime_reconnects_total: { type: 'counter', help: 'Realtime API reconnects after a mid-call drop, by result' },
+    openai_rate_limit_limit: { type: 'gauge', help: 'Last rate_limits.updated limit, by rate limit name' },
+    openai_rate_limit_remaining: { type: 'gauge', help: 'Last rate_limits.updated remaining, by rate limit name' },
+    openai_rate_limit_reset_seconds: { type: 'gauge', help: 'Last rate_limits.updated reset_seconds, by rate limit name' }
+};
+
+const series = new Map();  // metric name -> Map(label key -> { labels, value } or { labels, buckets, sum, count })
+
+// Increase a counter, e.g. incrementCounter('rejected_requests_total', { route: '/incoming-call' })
+export function incrementCounter(name, labels = {}, amount = 1) {
+    const entry = seriesEntry(name, labels, () => ({ labels, value: 0 }));
+    entry.value += amount;
+    return entry.value;
+}
+
+// Current value of a counter (0 if it was never incremented)
+export function getCounter(name, labels = {}) {
+    return series.get(name)?.get(labelKey(labels))?.value || 0;
+}
+
+// Set a gauge to its current value
+export function setGauge(name, labels = {}, value) {
+    seriesEntry(name, labels, () => ({ labels, value: 0 })).value = value;
+}
+
+// Record one observation (in seconds for *_seconds metrics) in a histogram
+export function observeHistogram(name, labels = {}, value) {
+    const bounds = DEFINITIONS[name]?.buckets || [];
+    const entry = seriesEntry(name, labels, () => ({ labels, buckets: bounds.map(() => 0), sum: 0, count: 0 }));
+    bounds.forEach((bound, index) => {
+        if (value <= bound) entry.buckets[index]++;
+    });
+    entry.sum += value;
+    entry.count++;
+}
+
+// Every metric in the Prometheus text exposition format
+export function renderMetrics() {
+    const lines = [];
+    for (const [name, entries] of series) {
+        const definition = DEFINITIONS[name];
+        if (definition) {
+            lines.push(`# HELP ${name} ${definition.help}`);
+            lines.push(`# TYPE ${name} ${definition.type}`);
+        }
+        for (const entry of entries.values()) {
+            if (definition?.type === 'histogram') {
+                definition.buckets.forEach((bound, index) => {
+                    lines.push(`${name}_bucket${formatLabels({ ...entry.labels, le: bound })} ${entry.buckets[index]}`);
+                });
+                lines.push(`${name}_bucket${formatLabels({ ...entry.labels, le: '+Inf' })} ${entry.count}`);
+                lines.push(`${name}_sum${formatLabels(entry.labels)} ${entry.sum}`);
+                lines.push(`${name}_count${formatLabels(entry.labels)} ${entry.count}`);
+            } else {
+                lines.push(`${name}${formatLabels(entry.labels)} ${entry.value}`);
+            }
+        }
+    }
+    return `${lines.join('\n')}\n`;
+}
+
+function seriesEntry(name, labels, create) {
+    if (!series.has(name)) series.set(name, new Map());
+    const entries = series.get(name);
+    const key = labelKey(labels);
+    if (!entries.has(key)) entries.set(key, create());
+    return entries.get(key);
+}
+
+function labelKey(labels) {
+    return Object.keys(labels).sort().map(key => `${key}=${labels[key]}`).join(',');
+}
+
+function formatLabels(labels) {
+    const pairs = Object.entries(labels).map(([key, value]) => `${key}="${String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n')}"`);
+    return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+}
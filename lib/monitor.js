@@ -0,0 +1,84 @@
+// Supervisor commands accepted on /monitor/:callSid
+export const MONITOR_COMMANDS = ['whisper', 'transfer', 'end_call'];
+
+const MAX_WHISPER_LENGTH = 2000;
+
+// Live view of the calls in progress for supervisors. The media-stream bridge publishes what happens on its call
+// (transcript lines, tool calls, state changes) and registers the controls supervisor commands are passed to;
+// /monitor sockets watch one call, /monitor (the index) watches calls starting and ending.
+export class CallMonitor {
+    constructor() {
+        this.calls = new Map();  // callSid -> { controls, watchers: Set of listeners }
+        this.indexWatchers = new Set();
+    }
+
+    // A bridge picked up a call. `controls` has whisper(text), transfer(department) and endCall(),
+    // each returning (a promise of) a result object or throwing.
+    callStarted(callSid, summary, controls) {
+        this.calls.set(callSid, { controls, watchers: new Set() });
+        this.notifyIndex({ type: 'call_started', call: summary });
+    }
+
+    // The call is over: tell its watchers (they stop receiving events) and the index
+    callEnded(callSid, endReason) {
+        const call = this.calls.get(callSid);
+        if (!call) return;
+        this.publish(callSid, { type: 'call_ended', endReason });
+        this.calls.delete(callSid);
+        this.notifyIndex({ type: 'call_ended', callSid, endReason });
+    }
+
+    // Send an event to everyone watching the call
+    publish(callSid, event) {
+        const call = this.calls.get(callSid);
+        if (!call) return;
+        const message = { ...event, callSid, at: new Date().toISOString() };
+        for (const listener of call.watchers) {
+            listener(message);
+        }
+    }
+
+    // Follow one call; returns an unsubscribe function, or null when the call isn't live here
+    watch(callSid, listener) {
+        const call = this.calls.get(callSid);
+        if (!call) return null;
+        call.watchers.add(listener);
+        return () => call.watchers.delete(listener);
+    }
+
+    // Follow calls starting and ending; returns an unsubscribe function
+    watchIndex(listener) {
+        this.indexWatchers.add(listener);
+        return () => this.indexWatchers.delete(listener);
+    }
+
+    // Validate a supervisor command and pass it to the call's bridge
+    async command(callSid, command) {
+        const call = this.calls.get(callSid);
+        if (!call) throw new Error('The call has ended');
+        if (!MONITOR_COMMANDS.includes(command?.type)) {
+            throw new Error(`Unknown command, use one of ${MONITOR_COMMANDS.join(', ')}`);
+        }
+
+        if (command.type === 'whisper') {
+            const text = typeof command.text === 'string' ? command.text.trim() : '';
+            if (!text) throw new Error('A whisper needs some text');
+            if (text.length > MAX_WHISPER_LENGTH) throw new Error(`Whispers are limited to ${MAX_WHISPER_LENGTH} characters`);
+            return call.controls.whisper(text);
+        }
+        if (command.type === 'transfer') {
+            if (command.department !== undefined && typeof command.department !== 'string') {
+                throw new Error('The department must be a string');
+            }
+            return call.controls.transfer(command.department);
+        }
+        return call.controls.endCall();
+    }
+
+    notifyIndex(event) {
+        const message = { ...event, at: new Date().toISOString() };
+        for (const listener of this.indexWatchers) {
+            listener(message);
+        }
+    }
+}
@@ -0,0 +1,33 @@
+// G.711 u-law helpers. Twilio media streams and the Realtime API (g711_ulaw) both use 8kHz u-law.
+
+export const SAMPLE_RATE = 8000;  // Samples per second, one byte per sample
+
+const BIAS = 0x84;
+const CLIP = 32635;
+
+// u-law byte -> 16-bit linear PCM sample
+export const MULAW_DECODE_TABLE = (() => {
+    const table = new Int16Array(256);
+    for (let i = 0; i < 256; i++) {
+        const value = ~i & 0xff;
+        const sign = value & 0x80;
+        const exponent = (value >> 4) & 0x07;
+        const mantissa = value & 0x0f;
+        const magnitude = (((mantissa << 3) + BIAS) << exponent) - BIAS;
+        table[i] = sign ? -magnitude : magnitude;
+    }
+    return table;
+})();
+
+// 16-bit linear PCM sample -> u-law byte
+export function linearToMulaw(sample) {
+    const sign = sample < 0 ? 0x80 : 0;
+    let magnitude = Math.min(Math.abs(sample), CLIP) + BIAS;
+
+    let exponent = 7;
+    for (let mask = 0x4000; (magnitude & mask) === 0 && exponent > 0; mask >>= 1) {
+        exponent--;
+    }
+    const mantissa = (magnitude >> (exponent + 3)) & 0x0f;
+    return ~(sign | (exponent << 4) | mantissa) & 0xff;
+}
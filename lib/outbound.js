@@ -0,0 +1,42 @@
+// Helpers for calls Sophie places herself (POST /outbound-call)
+
+// Twilio's AnsweredBy values that mean an answering machine or voicemail picked up
+const MACHINE_ANSWERS = ['machine_start', 'machine_end_beep', 'machine_end_silence', 'machine_end_other', 'fax'];
+
+// Call statuses after which Twilio sends no more status callbacks
+export const FINAL_CALL_STATUSES = ['completed', 'busy', 'no-answer', 'failed', 'canceled'];
+
+export function isMachineAnswer(answeredBy) {
+    return MACHINE_ANSWERS.includes(answeredBy);
+}
+
+// Check the POST /outbound-call body; returns an error message or null
+export function validateOutboundRequest(body) {
+    if (!body || typeof body !== 'object') return 'Request body must be JSON';
+    if (typeof body.to !== 'string' || !/^\+[1-9]\d{6,14}$/.test(body.to)) return '"to" must be an E.164 phone number';
+    if (typeof body.purpose !== 'string' || !body.purpose.trim()) return '"purpose" is required';
+    if (body.tools !== undefined && (!Array.isArray(body.tools) || body.tools.some(tool => typeof tool !== 'string'))) {
+        return '"tools" must be a list of tool names';
+    }
+    return null;
+}
+
+// Extra persona instructions for an outbound call, appended to the tenant's instructions
+export function outboundInstructions(outbound) {
+    return `
+### Outbound Call
+You are calling the customer, they did not call you. Purpose of this call: ${outbound.purpose}
+The first message you receive is the call context from the system. Do not read it out. Greet the customer, say who you are and why you are calling, then help them with the purpose of the call.`;
+}
+
+// Text of the first conversation item: the purpose and context the call was placed with
+export function outboundContextMessage(outbound) {
+    const context = typeof outbound.context === 'string' ? outbound.context : JSON.stringify(outbound.context ?? {});
+    return `Outbound call context. Purpose: ${outbound.purpose}. Details: ${context}`;
+}
+
+// What to leave on an answering machine
+export function voicemailMessage(outbound, tenant) {
+    return outbound.voicemailMessage
+        || `Hello, this is ${tenant.name} calling. We called about: ${outbound.purpose}. Please give us a call back when you have a moment. Thank you!`;
+}
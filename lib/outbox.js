@@ -0,0 +1,152 @@
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { sendToWebhook } from './webhooks.js';
+import { logger } from './logger.js';
+import { incrementCounter } from './metrics.js';
+
+// Disk-backed queue for webhook payloads that must not be lost (e.g. the end-of-call transcript).
+// Each entry is a JSON file in the outbox directory; it is deleted once delivered and moved to
+// failed/ (the dead-letter list) after maxAttempts. Pending entries are replayed on boot.
+export class WebhookOutbox {
+    constructor(directory, { maxAttempts = 8, baseDelayMs = 5000, maxDelayMs = 10 * 60 * 1000 } = {}) {
+        this.directory = directory;
+        this.failedDirectory = path.join(directory, 'failed');
+        this.maxAttempts = maxAttempts;
+        this.baseDelayMs = baseDelayMs;
+        this.maxDelayMs = maxDelayMs;
+        this.timers = new Map();  // entry id -> scheduled delivery
+        this.held = new Map();  // entry id -> entry written with { hold: true }, waiting for release()
+        fs.mkdirSync(this.failedDirectory, { recursive: true });
+    }
+
+    // Queue a payload for delivery; resolves once it is safely on disk. With { hold: true } the entry is written
+    // but only sent once release() adds the last fields; if the process restarts first, replay() sends it as it is.
+    async enqueue(url, payload, { hold = false } = {}) {
+        const entry = {
+            id: `${Date.now()}-${crypto.randomBytes(4).toString('hex')}`,
+            url,
+            payload,
+            attempts: 0,
+            createdAt: new Date().toISOString(),
+            lastError: null
+        };
+        await this.write(entry);
+        if (hold) {
+            this.held.set(entry.id, entry);
+        } else {
+            this.schedule(entry, 0);
+        }
+        return entry.id;
+    }
+
+    // Complete a held entry with extra payload fields and send it
+    async release(id, updates = {}) {
+        const entry = this.held.get(id);
+        if (!entry) return;
+        this.held.delete(id);
+        Object.assign(entry.payload, updates);
+        try {
+            await this.write(entry);
+        } finally {
+            this.schedule(entry, 0);  // Sent even if the update couldn't be written; the entry on disk is still complete
+        }
+    }
+
+    // Resume delivery of everything left over from a previous run
+    replay() {
+        const entries = this.readEntries(this.directory);
+        if (entries.length > 0) {
+            logger.info(`Replaying ${entries.length} undelivered webhook payloads from the outbox`);
+        }
+        entries.forEach((entry, index) => this.schedule(entry, index * 250));  // Stagger so Make.com isn't flooded
+    }
+
+    // The dead-letter list: payloads that could not be delivered
+    listFailed() {
+        return this.readEntries(this.failedDirectory);
+    }
+
+    schedule(entry, delayMs) {
+        const timer = setTimeout(() => {
+            this.attempt(entry).catch(error => logger.error('Outbox delivery error', { entryId: entry.id, error }));
+        }, delayMs);
+        timer.unref();
+        this.timers.set(entry.id, timer);
+    }
+
+    async attempt(entry) {
+        this.timers.delete(entry.id);
+        entry.attempts += 1;
+
+        try {
+            await sendToWebhook(entry.url, entry.payload, { retries: 0, countFailure: false });
+        } catch (error) {
+            try {
+                await this.recordFailure(entry, error);
+            } catch (storageError) {
+                // The outbox directory couldn't be updated (full disk, permissions, directory removed).
+                // The entry is still in memory, so keep trying instead of dropping it.
+                const delayMs = this.retryDelay(entry);
+                logger.error('Error updating outbox entry, retrying', { entryId: entry.id, route: entry.payload.route, retryInMs: delayMs, error: storageError });
+                this.schedule(entry, delayMs);
+            }
+            return;
+        }
+
+        logger.info('Outbox entry delivered', { entryId: entry.id, route: entry.payload.route });
+        try {
+            await fs.promises.rm(this.entryPath(entry.id), { force: true });
+        } catch (error) {
+            logger.error('Error removing delivered outbox entry, it will be sent again on the next boot', { entryId: entry.id, error });
+        }
+    }
+
+    // Move the entry to the dead-letter list, or save the failed attempt and schedule the next one
+    async recordFailure(entry, error) {
+        entry.lastError = error.message;
+        entry.lastAttemptAt = new Date().toISOString();
+
+        if (entry.attempts >= this.maxAttempts || error.retryable === false) {
+            await this.write(entry, this.failedDirectory);
+            await fs.promises.rm(this.entryPath(entry.id), { force: true });
+            logger.error('Outbox entry failed permanently', { entryId: entry.id, route: entry.payload.route, attempts: entry.attempts, error: error.message });
+            incrementCounter('webhook_failures_total', { route: entry.payload.route || 'none' });
+            return;
+        }
+
+        const delayMs = this.retryDelay(entry);
+        logger.warn('Outbox entry failed, retrying', { entryId: entry.id, route: entry.payload.route, attempt: entry.attempts, retryInMs: delayMs });
+        await this.write(entry);
+        this.schedule(entry, delayMs);
+    }
+
+    retryDelay(entry) {
+        return Math.min(this.baseDelayMs * 2 ** (entry.attempts - 1), this.maxDelayMs);
+    }
+
+    entryPath(id, directory = this.directory) {
+        return path.join(directory, `${id}.json`);
+    }
+
+    // Write via a temp file and rename, so a crash never leaves half an entry behind
+    async write(entry, directory = this.directory) {
+        const target = this.entryPath(entry.id, directory);
+        await fs.promises.writeFile(`${target}.tmp`, JSON.stringify(entry));
+        await fs.promises.rename(`${target}.tmp`, target);
+    }
+
+    readEntries(directory) {
+        return fs.readdirSync(directory)
+            .filter(file => file.endsWith('.json'))
+            .sort()
+            .flatMap(file => {
+                try {
+                    return [JSON.parse(fs.readFileSync(path.join(directory, file), 'utf8'))];
+                } catch (error) {
+                    logger.error('Skipping unreadable outbox entry', { file, error: error.message });
+                    return [];
+                }
+            });
+    }
+}
@@ -0,0 +1,106 @@
+import fs from 'fs';
+import path from 'path';
+import { SAMPLE_RATE, MULAW_DECODE_TABLE } from './mulaw.js';
+import { logger } from './logger.js';
+
+const SAMPLES_PER_MS = SAMPLE_RATE / 1000;
+
+// Records both directions of a call from the media stream into a stereo WAV (caller left, agent right).
+// Caller frames are placed by Twilio's media timestamp; agent chunks are placed when they are sent,
+// queued back to back because Twilio plays them one after another.
+export class CallRecorder {
+    constructor(startedAt = Date.now()) {
+        this.startedAt = startedAt;
+        this.caller = [];  // { offset (samples), audio (u-law Buffer) }
+        this.agent = [];
+        this.agentCursor = 0;  // Sample where the next agent chunk starts playing
+    }
+
+    // A Twilio media frame; timestampMs is the frame's position in the stream
+    addCallerAudio(payload, timestampMs) {
+        const offset = Math.round((Number(timestampMs) || this.elapsedMs()) * SAMPLES_PER_MS);
+        this.caller.push({ offset, audio: Buffer.from(payload, 'base64') });
+    }
+
+    // An audio delta from OpenAI on its way to Twilio
+    addAgentAudio(payload) {
+        const audio = Buffer.from(payload, 'base64');
+        const offset = Math.max(this.agentCursor, Math.round(this.elapsedMs() * SAMPLES_PER_MS));
+        this.agent.push({ offset, audio });
+        this.agentCursor = offset + audio.length;
+    }
+
+    // Twilio dropped its buffered agent audio (barge-in): forget what was not played yet
+    clearAgentAudio() {
+        const now = Math.round(this.elapsedMs() * SAMPLES_PER_MS);
+        this.agent = this.agent
+            .filter(chunk => chunk.offset < now)
+            .map(chunk => ({ offset: chunk.offset, audio: chunk.audio.subarray(0, now - chunk.offset) }));
+        this.agentCursor = now;
+    }
+
+    elapsedMs() {
+        return Date.now() - this.startedAt;
+    }
+
+    // Write the recording as a 16-bit PCM stereo WAV file
+    async save(filePath) {
+        const channels = [this.caller, this.agent];
+        // Not Math.max(...chunks): long calls have more 20ms chunks than fit in an argument list
+        const totalSamples = channels.flat().reduce((max, chunk) => Math.max(max, chunk.offset + chunk.audio.length), 0);
+
+        const header = wavHeader(totalSamples, 2);
+        const data = Buffer.alloc(totalSamples * 4);  // 2 channels x 2 bytes per sample, silence by default
+        channels.forEach((chunks, channel) => {
+            for (const { offset, audio } of chunks) {
+                for (let i = 0; i < audio.length; i++) {
+                    data.writeInt16LE(MULAW_DECODE_TABLE[audio[i]], (offset + i) * 4 + channel * 2);
+                }
+            }
+        });
+
+        await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+        await fs.promises.writeFile(filePath, Buffer.concat([header, data]));
+        return { durationSeconds: totalSamples / SAMPLE_RATE, bytes: header.length + data.length };
+    }
+}
+
+// Delete recordings older than the retention period
+export async function purgeOldRecordings(directory, retentionDays) {
+    if (!fs.existsSync(directory)) return 0;
+
+    const cutoff = Date.now() - retentionDays * 24 * 60 * 60 * 1000;
+    let purged = 0;
+    for (const file of await fs.promises.readdir(directory)) {
+        const filePath = path.join(directory, file);
+        const stats = await fs.promises.stat(filePath);
+        if (stats.isFile() && stats.mtimeMs < cutoff) {
+            await fs.promises.rm(filePath);
+            purged++;
+        }
+    }
+    if (purged > 0) {
+        logger.info(`Purged ${purged} recordings older than ${retentionDays} days`);
+    }
+    return purged;
+}
+
+function wavHeader(samples, channelCount) {
+    const bytesPerSample = 2;
+    const dataSize = samples * channelCount * bytesPerSample;
+    const header = Buffer.alloc(44);
+    header.write('RIFF', 0);
+    header.writeUInt32LE(36 + dataSize, 4);
+    header.write('WAVE', 8);
+    header.write('fmt ', 12);
+    header.writeUInt32LE(16, 16);  // fmt chunk size
+    header.writeUInt16LE(1, 20);  // PCM
+    header.writeUInt16LE(channelCount, 22);
+    header.writeUInt32LE(SAMPLE_RATE, 24);
+    header.writeUInt32LE(SAMPLE_RATE * channelCount * bytesPerSample, 28);  // Byte rate
+    header.writeUInt16LE(channelCount * bytesPerSample, 32);  // Block align
+    header.writeUInt16LE(bytesPerSample * 8, 34);  // Bits per sample
+    header.write('data', 36);
+    header.writeUInt32LE(dataSize, 40);
+    return header;
+}
@@ -0,0 +1,95 @@
+import fs from 'fs';
+
+// How a call is handled: the normal agent, the after-hours agent (different instructions and tools),
+// a straight forward to an on-call number, or voicemail
+export const CALL_MODES = ['agent', 'after_hours_agent', 'forward', 'voicemail'];
+
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+const TIME_RANGE = /^([01]\d|2[0-3]):[0-5]\d-(([01]\d|2[0-3]):[0-5]\d|24:00)$/;  // "08:00-18:00"
+
+// Read the shared schedule config; null when there is no file (every call goes to the agent)
+export function loadSchedule(filePath) {
+    if (!fs.existsSync(filePath)) return null;
+    const schedule = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    validateSchedule(schedule, filePath);
+    return schedule;
+}
+
+// Throw on anything in a (possibly partial) schedule that would misroute calls
+export function validateSchedule(schedule, source) {
+    if (schedule.timezone) {
+        try {
+            new Intl.DateTimeFormat('en-US', { timeZone: schedule.timezone });
+        } catch {
+            throw new Error(`Unknown time zone "${schedule.timezone}" in ${source}`);
+        }
+    }
+    for (const [day, ranges] of Object.entries(schedule.hours || {})) {
+        if (!WEEKDAYS.includes(day)) throw new Error(`Unknown day "${day}" in ${source}`);
+        const invalid = ranges.find(range => !TIME_RANGE.test(range) || range.slice(0, 5) >= range.slice(6));
+        if (invalid) throw new Error(`Invalid opening hours "${invalid}" for ${day} in ${source}, use "HH:MM-HH:MM"`);
+    }
+    for (const holiday of schedule.holidays || []) {
+        const { date, mode } = normalizeHoliday(holiday);
+        if (!/^\d{4}-\d{2}-\d{2}$/.test(date)) throw new Error(`Invalid holiday date "${date}" in ${source}, use YYYY-MM-DD`);
+        if (mode && !CALL_MODES.includes(mode)) throw new Error(`Unknown mode "${mode}" for holiday ${date} in ${source}`);
+    }
+    const afterHoursMode = schedule.afterHours?.mode;
+    if (afterHoursMode && !CALL_MODES.includes(afterHoursMode)) {
+        throw new Error(`Unknown after-hours mode "${afterHoursMode}" in ${source}, use one of ${CALL_MODES.join(', ')}`);
+    }
+}
+
+// The schedule for a tenant: the shared schedule with the tenant's "schedule" overrides on top
+export function tenantSchedule(schedule, tenant) {
+    if (!schedule && !tenant.schedule) return null;
+    const overrides = tenant.schedule || {};
+    return {
+        ...schedule,
+        ...overrides,
+        afterHours: { ...schedule?.afterHours, ...overrides.afterHours }
+    };
+}
+
+// Decide how to handle a call arriving at `now`: { mode, reason, holiday }.
+// Holidays win over the weekly hours and can set their own mode; outside opening hours the after-hours mode applies.
+export function callMode(schedule, now = new Date()) {
+    if (!schedule) return { mode: 'agent', reason: 'no_schedule', holiday: null };
+
+    const local = localTime(now, schedule.timezone || 'UTC');
+    const holiday = (schedule.holidays || []).map(normalizeHoliday).find(entry => entry.date === local.date);
+    const closedMode = schedule.afterHours?.mode || 'after_hours_agent';
+    if (holiday) {
+        return { mode: holiday.mode || closedMode, reason: 'holiday', holiday: holiday.name || holiday.date };
+    }
+
+    const ranges = schedule.hours?.[local.weekday] || [];
+    const open = ranges.some(range => local.time >= range.slice(0, 5) && local.time < range.slice(6));
+    return open
+        ? { mode: 'agent', reason: 'open', holiday: null }
+        : { mode: closedMode, reason: 'after_hours', holiday: null };
+}
+
+// Holidays are "YYYY-MM-DD" or { "date": "YYYY-MM-DD", "name": "...", "mode": "voicemail" }
+function normalizeHoliday(holiday) {
+    return typeof holiday === 'string' ? { date: holiday } : holiday;
+}
+
+// Weekday, date (YYYY-MM-DD) and time (HH:MM) in the schedule's time zone
+function localTime(now, timeZone) {
+    const parts = Object.fromEntries(new Intl.DateTimeFormat('en-US', {
+        timeZone,
+        weekday: 'long',
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+        hour: '2-digit',
+        minute: '2-digit',
+        hourCycle: 'h23'
+    }).formatToParts(now).map(part => [part.type, part.value]));
+    return {
+        weekday: parts.weekday.toLowerCase(),
+        date: `${parts.year}-${parts.month}-${parts.day}`,
+        time: `${parts.hour}:${parts.minute}`
+    };
+}
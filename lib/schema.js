@@ -0,0 +1,78 @@
+// Minimal JSON-schema validator for the subset of keywords used by tool parameters:
+// type, properties, required, additionalProperties, enum, items, minLength, maxLength,
+// minimum, maximum and pattern. Returns a list of { path, message } errors (empty when valid).
+export function validateSchema(schema, value, path = '$') {
+    const errors = [];
+    if (!schema || typeof schema !== 'object') return errors;
+
+    if (schema.type && !matchesType(schema.type, value)) {
+        errors.push({ path, message: `must be of type ${[].concat(schema.type).join(' or ')}` });
+        return errors;  // Other keywords make no sense once the type is wrong
+    }
+
+    if (schema.enum && !schema.enum.some(option => option === value)) {
+        errors.push({ path, message: `must be one of: ${schema.enum.join(', ')}` });
+    }
+
+    if (typeof value === 'string') {
+        if (schema.minLength !== undefined && value.length < schema.minLength) {
+            errors.push({ path, message: `must be at least ${schema.minLength} characters` });
+        }
+        if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+            errors.push({ path, message: `must be at most ${schema.maxLength} characters` });
+        }
+        if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+            errors.push({ path, message: `must match pattern ${schema.pattern}` });
+        }
+    }
+
+    if (typeof value === 'number') {
+        if (schema.minimum !== undefined && value < schema.minimum) {
+            errors.push({ path, message: `must be >= ${schema.minimum}` });
+        }
+        if (schema.maximum !== undefined && value > schema.maximum) {
+            errors.push({ path, message: `must be <= ${schema.maximum}` });
+        }
+    }
+
+    if (Array.isArray(value) && schema.items) {
+        value.forEach((item, index) => errors.push(...validateSchema(schema.items, item, `${path}[${index}]`)));
+    }
+
+    if (isPlainObject(value)) {
+        const properties = schema.properties || {};
+        for (const key of schema.required || []) {
+            if (value[key] === undefined) {
+                errors.push({ path: `${path}.${key}`, message: 'is required' });
+            }
+        }
+        for (const [key, propertyValue] of Object.entries(value)) {
+            if (properties[key]) {
+                errors.push(...validateSchema(properties[key], propertyValue, `${path}.${key}`));
+            } else if (schema.additionalProperties === false) {
+                errors.push({ path: `${path}.${key}`, message: 'is not an allowed property' });
+            }
+        }
+    }
+
+    return errors;
+}
+
+function matchesType(type, value) {
+    return [].concat(type).some(expected => {
+        switch (expected) {
+            case 'string': return typeof value === 'string';
+            case 'number': return typeof value === 'number' && Number.isFinite(value);
+            case 'integer': return Number.isInteger(value);
+            case 'boolean': return typeof value === 'boolean';
+            case 'array': return Array.isArray(value);
+            case 'object': return isPlainObject(value);
+            case 'null': return value === null;
+            default: return true;
+        }
+    });
+}
+
+function isPlainObject(value) {
+    return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
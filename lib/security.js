@@ -0,0 +1,48 @@
+import crypto from 'crypto';
+import twilio from 'twilio';
+
+// Check the X-Twilio-Signature header of an HTTP request from Twilio.
+// Twilio signs the full public URL it called plus the POSTed form parameters.
+export function isValidTwilioRequest(request, authToken, publicBaseUrl) {
+    const signature = request.headers['x-twilio-signature'];
+    if (!signature) return false;
+
+    const baseUrl = publicBaseUrl || `https://${request.headers.host}`;
+    const url = `${baseUrl.replace(/\/$/, '')}${request.url}`;
+    const params = request.method === 'POST' && request.body && typeof request.body === 'object' ? request.body : {};
+
+    return twilio.validateRequest(authToken, signature, url, params);
+}
+
+// Create a short-lived token that ties a media stream to the call it was issued for.
+// Format: <expiry unix seconds>.<hex HMAC-SHA256 of "callSid.expiry">
+export function createStreamToken(callSid, secret, ttlSeconds) {
+    const expires = Math.floor(Date.now() / 1000) + ttlSeconds;
+    return `${expires}.${signStreamToken(callSid, expires, secret)}`;
+}
+
+// Verify a stream token for the given call; false when missing, expired or forged
+export function verifyStreamToken(token, callSid, secret) {
+    if (typeof token !== 'string' || !callSid) return false;
+
+    const [expiresText, signature] = token.split('.');
+    const expires = Number(expiresText);
+    if (!Number.isInteger(expires) || !signature || expires < Math.floor(Date.now() / 1000)) return false;
+
+    const expected = Buffer.from(signStreamToken(callSid, expires, secret), 'hex');
+    const actual = Buffer.from(signature, 'hex');
+    return actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+}
+
+function signStreamToken(callSid, expires, secret) {
+    return crypto.createHmac('sha256', secret).update(`${callSid}.${expires}`).digest('hex');
+}
+
+// Compare a bearer token against the configured admin token in constant time
+export function isValidAdminToken(authorizationHeader, adminToken) {
+    if (!adminToken || typeof authorizationHeader !== 'string') return false;
+
+    const provided = Buffer.from(authorizationHeader.replace(/^Bearer\s+/i, ''));
+    const expected = Buffer.from(adminToken);
+    return provided.length === expected.length && crypto.timingSafeEqual(provided, expected);
+}
@@ -0,0 +1,118 @@
+import { logger } from './logger.js';
+import { incrementCounter } from './metrics.js';
+
+// Tracks every call from the moment Twilio hits /incoming-call until the media stream closes.
+// Sessions are keyed by Twilio's CallSid, which is also sent in the media stream's start event.
+export class SessionManager {
+    constructor({ pendingTtlMs = 60000, maxConcurrentCalls = 10, sweepIntervalMs = Math.min(pendingTtlMs, 15000) } = {}) {
+        this.pendingTtlMs = pendingTtlMs;  // How long a call may wait for its media stream
+        this.maxConcurrentCalls = maxConcurrentCalls;  // Pending + active calls allowed at once
+        this.sessions = new Map();  // callSid -> session
+
+        // Regularly drop sessions whose media stream never connected
+        this.sweeper = setInterval(() => this.expirePending(), sweepIntervalMs);
+        this.sweeper.unref();  // Don't keep the process alive just for the sweeper
+    }
+
+    // True when no more calls can be accepted
+    isAtCapacity() {
+        return this.sessions.size >= this.maxConcurrentCalls;
+    }
+
+    // Register a call that was answered by /incoming-call and is waiting for its media stream
+    create(callSid, data = {}) {
+        const session = {
+            callSid,
+            direction: 'inbound',  // 'outbound' for calls placed by POST /outbound-call
+            mode: 'agent',  // How the business hours schedule routed the call (see lib/schedule.js)
+            status: 'pending',  // pending -> active -> (removed)
+            createdAt: new Date(),
+            connectedAt: null,
+            streamSid: null,
+            callerNumber: 'Unknown',
+            callDetails: {},
+            firstMessage: null,
+            transcript: '',
+            transcriptLines: [],
+            functionCalls: [],  // Every tool call with its arguments, result and latency
+            supervisorActions: [],  // Whispers, transfers and hang-ups sent from /monitor
+            endReason: null,  // How the call ended, set when it finishes
+            ...data
+        };
+        this.sessions.set(callSid, session);
+        incrementCounter('calls_total', { direction: session.direction });
+        return session;
+    }
+
+    // Link a media stream to its call. Unknown calls (e.g. expired) get a fresh session.
+    attach(callSid, data = {}) {
+        let session = this.sessions.get(callSid);
+        if (!session) {
+            logger.warn('No pending session for the call, creating one from the stream parameters', { callSid });
+            session = this.create(callSid);
+        }
+        Object.assign(session, data, { status: 'active', connectedAt: new Date() });
+        return session;
+    }
+
+    get(callSid) {
+        return this.sessions.get(callSid);
+    }
+
+    // Remove a call once it is over
+    end(callSid) {
+        this.sessions.delete(callSid);
+    }
+
+    // Forget calls that were answered but whose media stream never showed up
+    expirePending(now = Date.now()) {
+        for (const [callSid, session] of this.sessions) {
+            const ttlMs = session.pendingTtlMs || this.pendingTtlMs;  // Outbound calls ring for a while, so they set their own
+            if (session.status === 'pending' && now - session.createdAt.getTime() > ttlMs) {
+                logger.info('Session expired before its media stream connected', { callSid });
+                this.sessions.delete(callSid);
+            }
+        }
+    }
+
+    // Short overview of every live call
+    list() {
+        return [...this.sessions.values()].map(session => summarizeSession(session));
+    }
+
+    // Short overview of one call (null when it isn't live)
+    summary(callSid) {
+        const session = this.sessions.get(callSid);
+        return session ? summarizeSession(session) : null;
+    }
+
+    // Detailed, read-only view of one call
+    describe(callSid) {
+        const session = this.sessions.get(callSid);
+        if (!session) return null;
+        return {
+            ...summarizeSession(session),
+            callDetails: session.callDetails,
+            firstMessage: session.firstMessage,
+            transcript: session.transcriptLines.map(({ speaker, text }) => ({ speaker, text }))
+        };
+    }
+}
+
+function summarizeSession(session) {
+    const since = session.connectedAt || session.createdAt;
+    return {
+        callSid: session.callSid,
+        status: session.status,
+        direction: session.direction,
+        mode: session.mode,
+        callerNumber: session.callerNumber,
+        tenantId: session.tenant?.id || null,
+        streamSid: session.streamSid,
+        createdAt: session.createdAt.toISOString(),
+        connectedAt: session.connectedAt ? session.connectedAt.toISOString() : null,
+        durationSeconds: Math.round((Date.now() - since.getTime()) / 1000),
+        transcriptLines: session.transcriptLines.length,
+        recording: Boolean(session.recording)
+    };
+}
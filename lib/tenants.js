@@ -0,0 +1,145 @@
+import fs from 'fs';
+import path from 'path';
+import { logger } from './logger.js';
+import { validateSchedule } from './schedule.js';
+import { KEYPAD_ACTIONS, normalizeShortcut } from './dtmf.js';
+
+const PROFILE_DEFAULTS = {
+    numbers: [],  // Twilio numbers (E.164) that reach this tenant
+    voice: 'alloy',  // The voice for AI responses
+    temperature: 0.8,  // Temperature for controlling the creativity of AI responses
+    greeting: 'Hello, how can I assist you today?',  // Used when Make.com has no personalized first message
+    busyMessage: 'All of our lines are busy right now, please call back in a few minutes.',
+    webhookUrl: null,  // Make.com webhook for this tenant (null = MAKE_WEBHOOK_URL)
+    tools: null,  // Names of enabled tools (null = every tool in the tool config)
+    schedule: null,  // Overrides for the shared business hours schedule (timezone, hours, holidays, afterHours)
+    dtmf: {  // Keypad input: digits end with an end key or a pause; shortcuts map a lone key to an action
+        endKeys: ['#'],
+        interDigitTimeoutMs: 3000,
+        maxDigits: 20,
+        shortcuts: {}  // e.g. { "0": "transfer", "#": "repeat" } or { "9": { "action": "transfer", "department": "towing" } }
+    },
+    timeouts: {  // Silence and call length limits (0 turns a limit off)
+        silenceSeconds: 10,  // Caller silence after Sophie finishes speaking before she checks in
+        maxReprompts: 2,  // Check-ins without an answer before she says goodbye and hangs up
+        maxCallSeconds: 900,  // Hard limit on the call length
+        wrapUpWarningSeconds: 60  // How long before the limit Sophie starts wrapping up
+    },
+    recoveryFallback: {  // What happens to the call if Sophie can't be reconnected: voicemail, or { action: 'forward', number }
+        action: 'voicemail',
+        message: "Sorry, we're having technical difficulties. Please leave a message after the tone and we'll call you back."
+    }
+};
+
+// Assistant profiles per brand, loaded from *.json files in a config directory.
+// A call is matched to a profile by the dialed (To) number; the profile marked "default" catches the rest.
+// The directory is watched and reloaded on change. Live calls keep the profile object they started with,
+// so a reload never changes or drops a call in progress.
+export class TenantRegistry {
+    constructor(directory, { fallbackWebhookUrl = null } = {}) {
+        this.directory = directory;
+        this.fallbackWebhookUrl = fallbackWebhookUrl;
+        this.profiles = [];
+        this.byNumber = new Map();
+        this.defaultProfile = null;
+        this.watcher = null;
+    }
+
+    // Read every profile; throws if the directory has no usable default profile
+    load() {
+        const files = fs.readdirSync(this.directory).filter(file => file.endsWith('.json')).sort();
+        const profiles = files.map(file => this.readProfile(file));
+
+        const defaults = profiles.filter(profile => profile.default);
+        if (defaults.length !== 1) {
+            throw new Error(`Expected exactly one default tenant profile in ${this.directory}, found ${defaults.length}`);
+        }
+
+        const byNumber = new Map();
+        for (const profile of profiles) {
+            for (const number of profile.numbers) {
+                if (byNumber.has(number)) {
+                    throw new Error(`Number ${number} is assigned to both ${byNumber.get(number).id} and ${profile.id}`);
+                }
+                byNumber.set(number, profile);
+            }
+        }
+
+        this.profiles = profiles;
+        this.byNumber = byNumber;
+        this.defaultProfile = defaults[0];
+        logger.info(`Loaded ${profiles.length} tenant profiles from ${this.directory}`);
+        return this;
+    }
+
+    readProfile(file) {
+        const raw = JSON.parse(fs.readFileSync(path.join(this.directory, file), 'utf8'));
+        const id = path.basename(file, '.json');
+        const profile = { ...PROFILE_DEFAULTS, id, name: id, ...raw };
+
+        // Long persona instructions live in their own Markdown file next to the profile
+        if (profile.instructionsFile) {
+            profile.instructions = fs.readFileSync(path.join(this.directory, profile.instructionsFile), 'utf8');
+        }
+        if (!profile.instructions) {
+            throw new Error(`Tenant profile ${file} has no instructions`);
+        }
+
+        profile.numbers = profile.numbers.map(normalizeNumber);
+        profile.webhookUrl = profile.webhookUrl || this.fallbackWebhookUrl;
+        if (profile.schedule) {
+            validateSchedule(profile.schedule, file);
+        }
+        profile.dtmf = { ...PROFILE_DEFAULTS.dtmf, ...raw.dtmf };
+        for (const [key, shortcut] of Object.entries(profile.dtmf.shortcuts)) {
+            if (!KEYPAD_ACTIONS.includes(normalizeShortcut(shortcut)?.action)) {
+                throw new Error(`Tenant profile ${file} has an unknown keypad shortcut for "${key}", use one of ${KEYPAD_ACTIONS.join(', ')}`);
+            }
+        }
+        profile.timeouts = { ...PROFILE_DEFAULTS.timeouts, ...raw.timeouts };
+        for (const [key, value] of Object.entries(profile.timeouts)) {
+            if (typeof value !== 'number' || value < 0) {
+                throw new Error(`Tenant profile ${file} has an invalid timeouts.${key} (${value}), use a number of 0 or more`);
+            }
+        }
+        // Enabling transfer_to_human without a number to dial would send callers nowhere
+        if (profile.tools?.includes('transfer_to_human') && !Object.values(profile.transfer?.numbers || {}).some(Boolean)) {
+            throw new Error(`Tenant profile ${file} enables transfer_to_human but has no transfer.numbers`);
+        }
+        profile.recoveryFallback = { ...PROFILE_DEFAULTS.recoveryFallback, ...raw.recoveryFallback };  // Keep the default message for a bare { action: 'voicemail' }
+        if (!['voicemail', 'forward'].includes(profile.recoveryFallback.action)) {
+            throw new Error(`Tenant profile ${file} has an unknown recoveryFallback action "${profile.recoveryFallback.action}"`);
+        }
+        return Object.freeze(profile);
+    }
+
+    // Pick the profile for a dialed number, falling back to the default profile
+    resolve(toNumber) {
+        return this.byNumber.get(normalizeNumber(toNumber || '')) || this.defaultProfile;
+    }
+
+    get(id) {
+        return this.profiles.find(profile => profile.id === id) || null;
+    }
+
+    // Reload whenever a file in the directory changes. A broken edit is logged and the previous profiles stay active.
+    watch() {
+        let reloadTimer = null;
+        this.watcher = fs.watch(this.directory, () => {
+            clearTimeout(reloadTimer);
+            reloadTimer = setTimeout(() => {
+                try {
+                    this.load();
+                } catch (error) {
+                    logger.error('Tenant profiles not reloaded, keeping the previous ones', { error: error.message });
+                }
+            }, 200);  // Editors often write a file in several steps
+        });
+        this.watcher.unref();
+        return this;
+    }
+}
+
+function normalizeNumber(number) {
+    return String(number).replace(/[\s().-]/g, '');
+}
@@ -0,0 +1,156 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { pathToFileURL } from 'url';
+import { validateSchema } from './schema.js';
+import { sendToWebhook } from './webhooks.js';
+import { logger } from './logger.js';
+
+const DEFAULT_TIMEOUT_MS = 10000;  // Used when a tool does not set its own timeoutMs
+
+// Error raised by a tool dispatch; `code` ends up in the structured function_call_output
+export class ToolError extends Error {
+    constructor(code, message, details) {
+        super(message);
+        this.name = 'ToolError';
+        this.code = code;
+        this.details = details;
+    }
+}
+
+// Registry of the functions Sophie can call, loaded from a JSON config file.
+// Each tool entry has a name, description, JSON-schema parameters, a target
+// (a Make.com webhook route or a local handler module), a timeout and a response template.
+export class ToolRegistry {
+    constructor(tools) {
+        this.tools = new Map(tools.map(tool => [tool.name, tool]));
+    }
+
+    // Read the config file and import any local handler modules it references
+    static async load(configPath) {
+        const config = JSON.parse(await fs.readFile(configPath, 'utf8'));
+        const baseDir = path.dirname(path.resolve(configPath));
+        const tools = [];
+
+        for (const tool of config.tools || []) {
+            if (!tool.name || !tool.target) {
+                throw new Error(`Tool entries need a name and a target (${configPath})`);
+            }
+            const entry = { ...tool };
+            if (tool.target.type === 'handler') {
+                const modulePath = path.resolve(baseDir, tool.target.module);
+                const handlerModule = await import(pathToFileURL(modulePath).href);
+                entry.handler = handlerModule.default;
+                if (typeof entry.handler !== 'function') {
+                    throw new Error(`Tool "${tool.name}": ${modulePath} has no default export function`);
+                }
+            } else if (tool.target.type !== 'webhook') {
+                throw new Error(`Tool "${tool.name}": unknown target type "${tool.target.type}"`);
+            }
+            tools.push(entry);
+        }
+
+        logger.info(`Loaded ${tools.length} tools from ${configPath}`);
+        return new ToolRegistry(tools);
+    }
+
+    // The tool definitions to put in the session.update `tools` list
+    sessionTools(enabledNames = null) {
+        return [...this.tools.values()]
+            .filter(tool => !enabledNames || enabledNames.includes(tool.name))
+            .map(tool => ({
+                type: 'function',
+                name: tool.name,
+                description: tool.description,
+                parameters: tool.parameters || { type: 'object', properties: {} }
+            }));
+    }
+
+    // Validate the model's arguments and run the tool. `context.enabledTools` (optional) limits which tools may run.
+    // Resolves to { output, instructions }: `output` goes into the function_call_output item and
+    // `instructions` (may be null) into the follow-up response.create. Throws a ToolError on failure.
+    async dispatch(name, rawArguments, context) {
+        const tool = this.tools.get(name);
+        if (!tool || (context.enabledTools && !context.enabledTools.includes(name))) {
+            throw new ToolError('unknown_tool', `No tool named "${name}" is configured`);
+        }
+
+        let args;
+        try {
+            args = rawArguments ? JSON.parse(rawArguments) : {};
+        } catch (error) {
+            throw new ToolError('invalid_arguments', 'Arguments are not valid JSON');
+        }
+
+        const validationErrors = validateSchema(tool.parameters, args);
+        if (validationErrors.length > 0) {
+            throw new ToolError('invalid_arguments', 'Arguments do not match the tool parameters', validationErrors);
+        }
+
+        const timeoutMs = tool.timeoutMs || DEFAULT_TIMEOUT_MS;
+        const controller = new AbortController();
+        const timer = setTimeout(() => controller.abort(), timeoutMs);
+
+        let result;
+        try {
+            const handlerContext = { ...context, args, signal: controller.signal };
+            const execution = tool.target.type === 'handler'
+                ? tool.handler(handlerContext)
+                : callWebhookTarget(tool, handlerContext);
+
+            result = await Promise.race([
+                execution,
+                new Promise((resolve, reject) => controller.signal.addEventListener('abort', () => {
+                    reject(new ToolError('timeout', `Tool "${name}" timed out after ${timeoutMs}ms`));
+                }))
+            ]);
+        } catch (error) {
+            if (error instanceof ToolError) throw error;
+            throw new ToolError('execution_failed', error.message);
+        } finally {
+            clearTimeout(timer);
+        }
+
+        const output = normalizeResult(result);
+        if (!output.message && tool.fallbackMessage) {
+            output.message = tool.fallbackMessage;
+        }
+
+        const instructions = tool.responseTemplate
+            ? renderTemplate(tool.responseTemplate, { ...context, args, result: output })
+            : null;
+
+        return { output, instructions };
+    }
+}
+
+// Post to a Make.com webhook route; the payload values are templates over args/session
+async function callWebhookTarget(tool, context) {
+    const { route, url, payload = {} } = tool.target;
+    const body = { route };
+    for (const [key, value] of Object.entries(payload)) {
+        body[key] = renderTemplate(value, context);
+    }
+    return sendToWebhook(url || context.webhookUrl, body, { signal: context.signal });
+}
+
+// Webhooks answer with text that is usually JSON; handlers return objects
+function normalizeResult(result) {
+    if (result === undefined || result === null) return {};
+    if (typeof result === 'object') return { ...result };
+    try {
+        const parsed = JSON.parse(result);
+        return typeof parsed === 'object' && parsed !== null ? parsed : { message: String(parsed) };
+    } catch {
+        return { message: String(result).trim() };
+    }
+}
+
+// Replace {{dotted.path}} placeholders with values from the given scope
+export function renderTemplate(template, scope) {
+    if (typeof template !== 'string') return template;
+    return template.replace(/\{\{\s*([\w.]+)\s*\}\}/g, (match, key) => {
+        const value = key.split('.').reduce((current, part) => current?.[part], scope);
+        if (value === undefined || value === null) return '';
+        return typeof value === 'object' ? JSON.stringify(value) : String(value);
+    });
+}
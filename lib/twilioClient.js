@@ -0,0 +1,39 @@
+import twilio from 'twilio';
+import { dialTwiml, voicemailTwiml } from './twiml.js';
+
+// Twilio's request client, pointed at a different base URL (e.g. a local stand-in for testing)
+class BaseUrlRequestClient extends twilio.RequestClient {
+    constructor(baseUrl) {
+        super();
+        this.baseUrl = new URL(baseUrl);
+    }
+
+    request(opts) {
+        const original = new URL(opts.uri);
+        const prefix = this.baseUrl.pathname.replace(/\/$/, '');
+        const uri = new URL(`${prefix}${original.pathname}${original.search}`, this.baseUrl);
+        return super.request({ ...opts, uri: uri.href });
+    }
+}
+
+// Create the Twilio REST client, or null when no account is configured
+export function createTwilioClient({ accountSid, authToken, apiBaseUrl = null }) {
+    if (!accountSid || !authToken) return null;
+    const options = apiBaseUrl ? { httpClient: new BaseUrlRequestClient(apiBaseUrl) } : {};
+    return twilio(accountSid, authToken, options);
+}
+
+// Replace the live call's TwiML with a <Dial> to a person. This ends our media stream.
+export async function transferCall(client, callSid, number, { callerId } = {}) {
+    return client.calls(callSid).update({ twiml: dialTwiml(number, { callerId }) });
+}
+
+// Replace the live call's TwiML with a voicemail prompt; the recording is posted to actionUrl. This ends our media stream.
+export async function sendToVoicemail(client, callSid, message, actionUrl) {
+    return client.calls(callSid).update({ twiml: voicemailTwiml(message, actionUrl) });
+}
+
+// Hang up a live call
+export async function hangUpCall(client, callSid) {
+    return client.calls(callSid).update({ status: 'completed' });
+}
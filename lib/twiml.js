@@ -0,0 +1,45 @@
+import twilio from 'twilio';
+
+const { VoiceResponse } = twilio.twiml;
+
+// TwiML that connects the call to our media stream WebSocket.
+// Parameter values are escaped by the Twilio library, so names and messages with quotes or & are safe.
+export function connectStreamTwiml(streamUrl, parameters = {}) {
+    const response = new VoiceResponse();
+    const stream = response.connect().stream({ url: streamUrl });
+    for (const [name, value] of Object.entries(parameters)) {
+        stream.parameter({ name, value: String(value ?? '') });
+    }
+    return response.toString();
+}
+
+// TwiML that politely turns a caller away and hangs up
+export function sayAndHangupTwiml(message) {
+    const response = new VoiceResponse();
+    response.say(message);
+    response.hangup();
+    return response.toString();
+}
+
+// TwiML that dials a person, used to hand the caller over to a human
+export function dialTwiml(number, { callerId } = {}) {
+    const response = new VoiceResponse();
+    response.dial(callerId ? { callerId } : {}, number);
+    return response.toString();
+}
+
+// TwiML that takes a voicemail: a message, then a recording posted to actionUrl when the caller hangs up or finishes
+export function voicemailTwiml(message, actionUrl, { maxLengthSeconds = 120 } = {}) {
+    const response = new VoiceResponse();
+    response.say(message);
+    response.record({ action: actionUrl, method: 'POST', maxLength: maxLengthSeconds, playBeep: true });
+    response.hangup();
+    return response.toString();
+}
+
+// TwiML that just ends the call
+export function hangupTwiml() {
+    const response = new VoiceResponse();
+    response.hangup();
+    return response.toString();
+}
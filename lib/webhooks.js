@@ -0,0 +1,106 @@
+import crypto from 'crypto';
+import fetch from 'node-fetch';  // Module to make HTTP requests
+import { logger } from './logger.js';
+import { incrementCounter } from './metrics.js';
+
+// Timeout and retry settings per Make.com route. Route 1 runs while the caller waits for the greeting,
+// so it fails fast; route 4 books a tow and is not retried so a slow response can't double-book.
+// Routes behind a tool (3, 4, 5) must finish every attempt plus backoff within the tool's timeoutMs in config/tools.json.
+const DEFAULT_ROUTE_OPTIONS = {
+    "1": { timeoutMs: 3000, retries: 1 },  // First message lookup
+    "2": { timeoutMs: 10000, retries: 2 },  // End-of-call transcript
+    "3": { timeoutMs: 4000, retries: 1 },  // Q&A, about 8.6s at most with the backoff
+    "4": { timeoutMs: 8000, retries: 0 },  // Book a tow
+    "5": { timeoutMs: 3000, retries: 1 }  // Transfer handoff summary, the caller is waiting
+};
+const FALLBACK_OPTIONS = { timeoutMs: 8000, retries: 1 };
+const RETRY_BASE_DELAY_MS = 500;  // Doubles with every retry
+
+let signingSecret = null;
+let routeOptions = { ...DEFAULT_ROUTE_OPTIONS };
+
+// Error for a webhook request that did not succeed; `retryable` is false for 4xx answers
+export class WebhookError extends Error {
+    constructor(message, { status = null, retryable = true } = {}) {
+        super(message);
+        this.name = 'WebhookError';
+        this.status = status;
+        this.retryable = retryable;
+    }
+}
+
+// Set the HMAC signing secret and override per-route timeout/retry settings
+export function configureWebhooks({ secret = null, routes = {} } = {}) {
+    signingSecret = secret;
+    routeOptions = { ...DEFAULT_ROUTE_OPTIONS };
+    for (const [route, options] of Object.entries(routes)) {
+        routeOptions[route] = { ...(routeOptions[route] || FALLBACK_OPTIONS), ...options };
+    }
+}
+
+// Signature header value: "t=<unix seconds>,v1=<hex HMAC-SHA256 of '<t>.<body>'>".
+// Make.com scenarios recompute the HMAC with the shared secret to check the payload came from us.
+export function signPayload(body, secret, timestamp = Math.floor(Date.now() / 1000)) {
+    const signature = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+    return `t=${timestamp},v1=${signature}`;
+}
+
+// Function to send data to the Make.com webhook, with a per-route timeout and retries with exponential backoff.
+// Pass `retries` or `timeoutMs` to override the route setting (the outbox does its own retrying, and counts its own
+// failures with `countFailure: false`, since one failed attempt there isn't a failed delivery yet).
+export async function sendToWebhook(url, payload, { signal, retries, timeoutMs, countFailure = true } = {}) {
+    const options = routeOptions[payload.route] || FALLBACK_OPTIONS;
+    const maxRetries = retries ?? options.retries;
+    const attemptTimeoutMs = timeoutMs ?? options.timeoutMs;
+    const body = JSON.stringify(payload);
+    logger.debug('Sending data to webhook', { route: payload.route, payload });  // Log the data being sent
+
+    for (let attempt = 0; ; attempt++) {
+        try {
+            return await postOnce(url, body, attemptTimeoutMs, signal);
+        } catch (error) {
+            const canRetry = attempt < maxRetries && error.retryable !== false && !signal?.aborted;
+            logger.warn('Error sending data to webhook', { route: payload.route, attempt: attempt + 1, error: error.message });
+            if (!canRetry) {
+                if (countFailure) incrementCounter('webhook_failures_total', { route: payload.route || 'none' });
+                throw error;
+            }
+
+            const delayMs = RETRY_BASE_DELAY_MS * 2 ** attempt + Math.random() * 100;
+            await new Promise(resolve => setTimeout(resolve, delayMs));
+        }
+    }
+}
+
+async function postOnce(url, body, timeoutMs, signal) {
+    const headers = { 'Content-Type': 'application/json' };  // Set content type as JSON
+    if (signingSecret) {
+        headers['X-Webhook-Signature'] = signPayload(body, signingSecret);
+    }
+
+    const timeoutSignal = AbortSignal.timeout(timeoutMs);
+    let response;
+    try {
+        response = await fetch(url, {
+            method: 'POST',
+            headers,
+            body,  // Send the payload as a JSON string
+            signal: signal ? AbortSignal.any([signal, timeoutSignal]) : timeoutSignal
+        });
+    } catch (error) {
+        if (timeoutSignal.aborted) throw new WebhookError(`Webhook timed out after ${timeoutMs}ms`);
+        // A malformed URL or an abort by the caller won't get better by retrying
+        throw new WebhookError(error.message, { retryable: error.code !== 'ERR_INVALID_URL' && !signal?.aborted });
+    }
+
+    logger.debug('Webhook response status', { status: response.status });
+    if (!response.ok) {
+        // 5xx and 429 are worth retrying, other errors won't get better
+        const retryable = response.status >= 500 || response.status === 429;
+        throw new WebhookError(`Webhook request failed: ${response.status} ${response.statusText}`, { status: response.status, retryable });
+    }
+
+    const responseText = await response.text();  // Get the text response from the webhook
+    logger.debug('Webhook response', { responseText });
+    return responseText;
+}
@@ -0,0 +1,125 @@
+import { WebSocketServer } from 'ws';
+
+const AUDIO_CHUNK_MS = 100;  // Size of each scripted response.audio.delta
+const USER_TURN_DELAY_MS = 300;  // Pause after Sophie's audio has played before a scripted caller turn "is spoken"
+
+// A local stand-in for the OpenAI Realtime API that plays a script instead of running a model.
+// The script is a list of steps:
+//   { "agent": { "transcript": "...", "audioMs": 800 } }                        - a spoken reply
+//   { "agent": { "transcript": "...", "generateMs": 2000 } }                    - ...that stays in progress for 2s
+//   { "agent": { "functionCall": { "name": "book_tow", "arguments": {...} } } } - a function call
+//   { "user": "I need a tow" }                                                   - the caller says something
+//   { "user": "Sorry, just a tow", "afterMs": 500 }                              - ...500ms into Sophie's reply (barge-in)
+//   { "disconnect": true }                                                       - drop the connection
+// Agent steps answer response.create in order. Like the real API, a response.create while a response is in progress
+// is rejected with an error event and doesn't use up a step. A user step is played after the agent step before it
+// and, like server VAD, automatically starts the next agent step. A disconnect step closes the socket
+// after the agent step before it; the script carries on over the bridge's next connection.
+export function startMockRealtime({ port = 0, steps = [] } = {}) {
+    const server = new WebSocketServer({ port });
+    const received = [];  // Every client event, for assertions
+    let stepIndex = 0;
+    let responseCount = 0;
+    let connections = 0;
+
+    server.on('connection', (socket) => {
+        connections++;
+        let activeResponseId = null;  // The response in progress on this connection
+        const send = (event) => socket.send(JSON.stringify(event));
+
+        send({ type: 'session.created', session: { id: 'sess_mock' } });
+
+        const nextStep = () => steps[stepIndex++];
+
+        // Play the next agent step as a response
+        const respond = () => {
+            const step = nextStep();
+            if (!step?.agent) return;
+
+            const responseId = `resp_mock_${++responseCount}`;
+            activeResponseId = responseId;
+            send({ type: 'response.created', response: { id: responseId, status: 'in_progress' } });
+
+            if (step.agent.functionCall) {
+                const { name, arguments: args } = step.agent.functionCall;
+                const item = { id: `item_fc_${responseCount}`, type: 'function_call', name, call_id: `call_mock_${responseCount}`, arguments: JSON.stringify(args) };
+                send({ type: 'response.function_call_arguments.done', response_id: responseId, item_id: item.id, name, call_id: item.call_id, arguments: item.arguments });
+                activeResponseId = null;
+                send({ type: 'response.done', response: { id: responseId, status: 'completed', output: [item] } });
+                return;  // The bridge answers with function_call_output + response.create
+            }
+
+            const itemId = `item_msg_${responseCount}`;
+            const transcript = step.agent.transcript || '';
+            const audioMs = step.agent.audioMs ?? 400;
+            const finish = () => {
+                for (let sent = 0; sent < audioMs; sent += AUDIO_CHUNK_MS) {
+                    const chunkBytes = Math.min(AUDIO_CHUNK_MS, audioMs - sent) * 8;  // 8 bytes per ms of 8kHz u-law
+                    send({ type: 'response.audio.delta', response_id: responseId, item_id: itemId, delta: Buffer.alloc(chunkBytes, 0xff).toString('base64') });
+                }
+                send({ type: 'response.audio_transcript.done', response_id: responseId, item_id: itemId, transcript });
+                activeResponseId = null;
+                send({
+                    type: 'response.done',
+                    response: {
+                        id: responseId,
+                        status: 'completed',
+                        output: [{ id: itemId, type: 'message', role: 'assistant', content: [{ type: 'audio', transcript }] }]
+                    }
+                });
+
+                if (steps[stepIndex]?.user !== undefined) {
+                    setTimeout(playUserTurn, steps[stepIndex].afterMs ?? audioMs + USER_TURN_DELAY_MS);
+                } else if (steps[stepIndex]?.disconnect) {
+                    stepIndex++;
+                    setTimeout(() => socket.terminate(), USER_TURN_DELAY_MS);  // Like a network drop: no close handshake
+                }
+            };
+            if (step.agent.generateMs) {
+                setTimeout(finish, step.agent.generateMs);
+            } else {
+                finish();
+            }
+        };
+
+        // The caller speaks: VAD events, transcription, then an automatic response
+        const playUserTurn = () => {
+            const step = nextStep();
+            const itemId = `item_user_${stepIndex}`;
+            send({ type: 'input_audio_buffer.speech_started', item_id: itemId, audio_start_ms: 0 });
+            send({ type: 'input_audio_buffer.speech_stopped', item_id: itemId, audio_end_ms: 500 });
+            send({ type: 'input_audio_buffer.committed', item_id: itemId });
+            send({ type: 'conversation.item.input_audio_transcription.completed', item_id: itemId, content_index: 0, transcript: step.user });
+            respond();
+        };
+
+        socket.on('message', (message) => {
+            const event = JSON.parse(message);
+            received.push(event);
+
+            if (event.type === 'session.update') {
+                send({ type: 'session.updated', session: event.session });
+            } else if (event.type === 'response.create' && activeResponseId) {
+                send({
+                    type: 'error',
+                    error: {
+                        type: 'invalid_request_error',
+                        code: 'conversation_already_has_active_response',
+                        message: `Conversation already has an active response in progress: ${activeResponseId}. Wait until the response is finished before creating a new one.`
+                    }
+                });
+            } else if (event.type === 'response.create') {
+                respond();
+            }
+        });
+    });
+
+    return new Promise((resolve) => {
+        server.on('listening', () => resolve({
+            url: `ws://localhost:${server.address().port}`,
+            received,
+            connections: () => connections,
+            close: () => new Promise(done => server.close(done))
+        }));
+    });
+}
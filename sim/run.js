@@ -0,0 +1,467 @@
+// Offline call simulation: runs the real server against a mock Realtime backend, a mock Make.com
+// webhook and a scripted Twilio caller, then checks the resulting call record and webhook payloads.
+// Fixtures with "twilioApi": true also get a stand-in for the Twilio REST API (transfers, hang-ups, outbound calls).
+//
+//   npm run simulate                           - every fixture in sim/fixtures
+//   npm run simulate -- sim/fixtures/tow.json  - specific fixtures
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import http from 'http';
+import net from 'net';
+import { spawn } from 'child_process';
+import { fileURLToPath } from 'url';
+import { startMockRealtime } from './mockRealtime.js';
+import { runScriptedCall, postAsTwilio } from './twilioCaller.js';
+import { runSupervisor } from './supervisor.js';
+
+const SIM_DIR = path.dirname(fileURLToPath(import.meta.url));
+const SERVER_ENTRY = path.join(SIM_DIR, '..', 'index.js');
+const TENANTS_DIR = path.join(SIM_DIR, '..', 'config', 'tenants');
+const ADMIN_TOKEN = 'sim-admin-token';
+const TWILIO_TOKEN = 'sim-twilio-token';
+const ALWAYS_OPEN = {  // Fixtures run at any hour, so unless they bring a schedule the shop is always open
+    timezone: 'UTC',
+    hours: Object.fromEntries(['monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday'].map(day => [day, ['00:00-24:00']]))
+};
+
+const fixturePaths = process.argv.slice(2).length > 0
+    ? process.argv.slice(2)
+    : fs.readdirSync(path.join(SIM_DIR, 'fixtures')).filter(file => file.endsWith('.json')).map(file => path.join(SIM_DIR, 'fixtures', file));
+
+let failures = 0;
+for (const fixturePath of fixturePaths) {
+    const fixture = JSON.parse(fs.readFileSync(fixturePath, 'utf8'));
+    const result = await runFixture(fixture);
+    if (result.errors.length === 0) {
+        console.log(`PASS ${fixture.name}`);
+    } else {
+        failures++;
+        console.log(`FAIL ${fixture.name}`);
+        result.errors.forEach(error => console.log(`  - ${error}`));
+        console.log('  Server output:');
+        console.log(result.serverOutput.split('\n').map(line => `    ${line}`).join('\n'));
+    }
+}
+process.exit(failures > 0 ? 1 : 0);
+
+async function runFixture(fixture) {
+    const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'voice-sim-'));
+    const webhook = await startMockWebhook(fixture.webhooks || {}, fixture.webhookDelays || {});
+    const extraction = await startMockExtraction(fixture.extraction);
+    const realtime = await startMockRealtime({ steps: fixture.realtime?.steps || [] });
+    const port = await freePort();
+    const serverUrl = `http://localhost:${port}`;
+    const callSid = fixture.callSid || `CA${Date.now()}`;
+    const twilioApi = await startMockTwilioApi({ callSid });
+    const schedulePath = path.join(dataDir, 'schedule.json');
+    fs.writeFileSync(schedulePath, JSON.stringify(fixture.schedule || ALWAYS_OPEN));
+    const tenantsDir = writeTenants(dataDir, fixture.tenant);
+    const knowledgeDir = writeKnowledge(dataDir, fixture.knowledge);
+    const recordingsDir = writeOldRecordings(dataDir, fixture.oldRecordings);
+
+    const server = spawn(process.execPath, [SERVER_ENTRY], {
+        env: {
+            ...process.env,
+            PORT: String(port),
+            OPENAI_API_KEY: 'sim-key',
+            OPENAI_REALTIME_URL: realtime.url,
+            MAKE_WEBHOOK_URL: webhook.url,
+            EXTRACTION_API_URL: extraction.url,
+            TWILIO_AUTH_TOKEN: TWILIO_TOKEN,
+            PUBLIC_BASE_URL: serverUrl,
+            ADMIN_API_TOKEN: ADMIN_TOKEN,
+            CALLS_DB_PATH: path.join(dataDir, 'calls.jsonl'),
+            WEBHOOK_OUTBOX_DIR: path.join(dataDir, 'outbox'),
+            RECORDINGS_DIR: recordingsDir,
+            SCHEDULE_CONFIG_PATH: schedulePath,
+            TENANTS_DIR: tenantsDir,
+            KNOWLEDGE_DIR: knowledgeDir,
+            ...(fixture.twilioApi ? { TWILIO_ACCOUNT_SID: 'ACsimulated', TWILIO_API_BASE_URL: twilioApi.url } : {}),
+            ...fixture.env
+        },
+        stdio: ['ignore', 'pipe', 'pipe']
+    });
+    let serverOutput = '';
+    server.stdout.on('data', chunk => { serverOutput += chunk; });
+    server.stderr.on('data', chunk => { serverOutput += chunk; });
+
+    const errors = [];
+    try {
+        await waitFor(() => serverOutput.includes('Server is listening'), 10000, 'server start');
+
+        const supervisor = fixture.supervisor
+            ? runSupervisor({ serverUrl, adminToken: ADMIN_TOKEN, callSid, ...fixture.supervisor })
+            : Promise.resolve({ received: [] });
+        const events = fixture.caller?.events || [{ atMs: 3000, type: 'stop' }];
+        const call = fixture.outbound
+            ? await runOutboundCall({ serverUrl, callSid, outbound: fixture.outbound, events, signal: twilioApi.callEnded.signal })
+            : await runScriptedCall({
+                serverUrl,
+                authToken: TWILIO_TOKEN,
+                callSid,
+                from: fixture.caller?.from || '+15555550100',
+                to: fixture.caller?.to || '+15555550199',
+                events,
+                signal: twilioApi.callEnded.signal
+            });
+        const monitor = await supervisor;
+
+        // Outbound calls answered by a machine never reach Sophie, so there is no transcript to send
+        if (!fixture.outbound || call.customParameters) {
+            await waitFor(() => webhook.payloads.some(payload => payload.route === '2'), 5000, 'transcript webhook (route 2)')
+                .catch(error => errors.push(error.message));
+        }
+
+        const recordResponse = await fetch(`${serverUrl}/calls/${callSid}`, { headers: { Authorization: `Bearer ${ADMIN_TOKEN}` } });
+        const record = recordResponse.ok ? await recordResponse.json() : null;
+        if (!record) errors.push(`No call record for ${callSid}`);
+
+        const metricsResponse = await fetch(`${serverUrl}/metrics`, { headers: { Authorization: `Bearer ${ADMIN_TOKEN}` } });
+        const metrics = metricsResponse.ok ? await metricsResponse.text() : '';
+
+        const callQueries = await runCallQueries(serverUrl, fixture.expect?.callQueries || []);
+        const recordings = {};
+        for (const sid of [callSid, ...(fixture.expect?.recordingsMissing || [])]) {
+            recordings[sid] = await fetchRecording(serverUrl, sid);
+        }
+
+        errors.push(...checkExpectations(fixture.expect || {}, { record, call, metrics, monitor, callQueries, recording: recordings[callSid], recordings, twilioRequests: twilioApi.requests, webhookPayloads: webhook.payloads, realtimeEvents: realtime.received, realtimeConnections: realtime.connections() }));
+    } catch (error) {
+        errors.push(error.message);
+    } finally {
+        server.kill();
+        await new Promise(resolve => server.once('exit', resolve));
+        await realtime.close();
+        await webhook.close();
+        await extraction.close();
+        await twilioApi.close();
+        fs.rmSync(dataDir, { recursive: true, force: true });
+    }
+    return { errors, serverOutput };
+}
+
+// Place the fixture's call through POST /outbound-call, then play Twilio's part: ask /outbound-answer what to do with
+// the fixture's AnsweredBy (a person gets the media stream and the caller events), then report the final status.
+//   "outbound": { "request": { "to", "from", "purpose", ... }, "answeredBy": "human", "status": "completed", "durationSeconds": 12 }
+async function runOutboundCall({ serverUrl, callSid, outbound, events, signal }) {
+    const placed = await fetch(`${serverUrl}/outbound-call`, {
+        method: 'POST',
+        headers: { Authorization: `Bearer ${ADMIN_TOKEN}`, 'Content-Type': 'application/json' },
+        body: JSON.stringify(outbound.request)
+    });
+    const placedBody = await placed.json();
+    if (placed.status !== 201 || placedBody.callSid !== callSid) {
+        throw new Error(`POST /outbound-call answered ${placed.status}: ${JSON.stringify(placedBody)}`);
+    }
+
+    const answeredBy = outbound.answeredBy || 'human';
+    const call = await runScriptedCall({
+        serverUrl,
+        authToken: TWILIO_TOKEN,
+        callSid,
+        from: outbound.request.from,
+        to: outbound.request.to,
+        events,
+        signal,
+        answer: { path: '/outbound-answer', params: { AnsweredBy: answeredBy } }
+    });
+    await postAsTwilio(serverUrl, TWILIO_TOKEN, '/outbound-status', {
+        CallSid: callSid,
+        CallStatus: outbound.status || 'completed',
+        AnsweredBy: answeredBy,
+        CallDuration: String(outbound.durationSeconds ?? 0)
+    });
+    return call;
+}
+
+// Fixtures can override settings of the default tenant profile, e.g. "tenant": { "timeouts": { "silenceSeconds": 1 } }
+function writeTenants(dataDir, overrides) {
+    if (!overrides) return TENANTS_DIR;
+    const tenantsDir = path.join(dataDir, 'tenants');
+    fs.cpSync(TENANTS_DIR, tenantsDir, { recursive: true });
+    for (const file of fs.readdirSync(tenantsDir).filter(name => name.endsWith('.json'))) {
+        const profile = JSON.parse(fs.readFileSync(path.join(tenantsDir, file), 'utf8'));
+        if (profile.default) {
+            fs.writeFileSync(path.join(tenantsDir, file), JSON.stringify({ ...profile, ...overrides }, null, 4));
+        }
+    }
+    return tenantsDir;
+}
+
+// Knowledge base documents by path, e.g. "knowledge": { "bart-automotive/faq.md": "## Opening hours\n..." }.
+// Without them the knowledge base is empty, so every question goes to Make.com route 3.
+function writeKnowledge(dataDir, documents = {}) {
+    const knowledgeDir = path.join(dataDir, 'knowledge');
+    for (const [documentPath, content] of Object.entries(documents)) {
+        const filePath = path.join(knowledgeDir, documentPath);
+        fs.mkdirSync(path.dirname(filePath), { recursive: true });
+        fs.writeFileSync(filePath, content);
+    }
+    return knowledgeDir;
+}
+
+// Recordings left over from earlier calls, by call SID and age in days, e.g. "oldRecordings": { "CAold": 40 }.
+// The server's purge at boot should delete those older than RECORDING_RETENTION_DAYS.
+function writeOldRecordings(dataDir, recordings = {}) {
+    const recordingsDir = path.join(dataDir, 'recordings');
+    fs.mkdirSync(recordingsDir, { recursive: true });
+    for (const [sid, ageDays] of Object.entries(recordings)) {
+        const filePath = path.join(recordingsDir, `${sid}.wav`);
+        fs.writeFileSync(filePath, Buffer.alloc(44));
+        const modifiedAt = new Date(Date.now() - ageDays * 24 * 60 * 60 * 1000);
+        fs.utimesSync(filePath, modifiedAt, modifiedAt);
+    }
+    return recordingsDir;
+}
+
+// GET /recordings/:callSid and read the WAV header: { channels, sampleRate, bitsPerSample, durationSeconds },
+// { invalid: true } for anything that isn't a PCM WAV file, or null when there is no recording
+async function fetchRecording(serverUrl, sid) {
+    const response = await fetch(`${serverUrl}/recordings/${sid}`, { headers: { Authorization: `Bearer ${ADMIN_TOKEN}` } });
+    if (response.status === 404) return null;
+    const wav = Buffer.from(await response.arrayBuffer());
+    if (!response.ok || wav.length < 44 || wav.toString('ascii', 0, 4) !== 'RIFF' || wav.toString('ascii', 8, 12) !== 'WAVE' || wav.readUInt16LE(20) !== 1) {
+        return { invalid: true };
+    }
+    const channels = wav.readUInt16LE(22);
+    const sampleRate = wav.readUInt32LE(24);
+    const bitsPerSample = wav.readUInt16LE(34);
+    const dataSize = wav.readUInt32LE(40);
+    if (dataSize !== wav.length - 44) return { invalid: true };
+    return { channels, sampleRate, bitsPerSample, durationSeconds: dataSize / (channels * bitsPerSample / 8) / sampleRate };
+}
+
+// GET /calls for each { query } in the fixture, sent as written (so an unencoded "+" stays one); {{today}} is today's UTC date.
+// Resolves to the call SIDs each query returned.
+async function runCallQueries(serverUrl, queries) {
+    const today = new Date().toISOString().slice(0, 10);
+    const results = [];
+    for (const { query } of queries) {
+        const response = await fetch(`${serverUrl}/calls?${query.replaceAll('{{today}}', today)}`, { headers: { Authorization: `Bearer ${ADMIN_TOKEN}` } });
+        results.push(response.ok ? (await response.json()).calls.map(summary => summary.callSid) : null);
+    }
+    return results;
+}
+
+function checkExpectations(expect, { record, call, metrics, monitor, callQueries, recording, recordings, twilioRequests, webhookPayloads, realtimeEvents, realtimeConnections }) {
+    const errors = [];
+    const transcript = (record?.turns || []).map(turn => `${turn.speaker}: ${turn.text}`).join('\n');
+
+    for (const text of expect.transcriptIncludes || []) {
+        if (!transcript.includes(text)) errors.push(`Transcript is missing "${text}":\n${transcript}`);
+    }
+
+    for (const text of expect.transcriptExcludes || []) {
+        if (transcript.includes(text)) errors.push(`Transcript should not contain "${text}":\n${transcript}`);
+    }
+
+    if (expect.toolCalls) {
+        const names = (record?.functionCalls || []).map(functionCall => functionCall.name);
+        if (JSON.stringify(names) !== JSON.stringify(expect.toolCalls)) {
+            errors.push(`Expected tool calls ${JSON.stringify(expect.toolCalls)}, got ${JSON.stringify(names)}`);
+        }
+    }
+
+    // Partial matches against each function call's result, in order, e.g. [{ "source": "knowledge_base" }]
+    (expect.toolResults || []).forEach((expected, index) => {
+        const result = record?.functionCalls?.[index]?.result || {};
+        const matches = Object.entries(expected).every(([key, value]) => JSON.stringify(result[key]) === JSON.stringify(value));
+        if (!matches) errors.push(`Expected the result of function call ${index + 1} to include ${JSON.stringify(expected)}, got ${JSON.stringify(result)}`);
+    });
+
+    for (const expected of expect.webhookPayloads || []) {
+        const found = webhookPayloads.some(payload => Object.entries(expected).every(([key, value]) => payload[key] === value));
+        if (!found) errors.push(`No webhook payload matching ${JSON.stringify(expected)}`);
+    }
+
+    if (expect.extraction !== undefined) {
+        const transcriptPayload = webhookPayloads.find(payload => payload.route === '2');
+        const sent = transcriptPayload?.data3 ? JSON.parse(transcriptPayload.data3) : null;
+        if (JSON.stringify(record?.extraction) !== JSON.stringify(expect.extraction)) {
+            errors.push(`Expected extraction ${JSON.stringify(expect.extraction)} in the call record, got ${JSON.stringify(record?.extraction)}`);
+        }
+        if (JSON.stringify(sent) !== JSON.stringify(expect.extraction)) {
+            errors.push(`Expected extraction ${JSON.stringify(expect.extraction)} in the route 2 payload, got ${JSON.stringify(sent)}`);
+        }
+    }
+
+    if (expect.mode && record?.mode !== expect.mode) {
+        errors.push(`Expected mode "${expect.mode}", got "${record?.mode}"`);
+    }
+
+    if (expect.sessionTools) {
+        const sessionUpdate = realtimeEvents.find(event => event.type === 'session.update');
+        const names = (sessionUpdate?.session.tools || []).map(tool => tool.name);
+        if (JSON.stringify(names) !== JSON.stringify(expect.sessionTools)) {
+            errors.push(`Expected session tools ${JSON.stringify(expect.sessionTools)}, got ${JSON.stringify(names)}`);
+        }
+    }
+
+    if (expect.endReason && record?.endReason !== expect.endReason) {
+        errors.push(`Expected end reason "${expect.endReason}", got "${record?.endReason}"`);
+    }
+
+    for (const type of expect.realtimeEvents || []) {
+        if (!realtimeEvents.some(event => event.type === type)) errors.push(`The bridge never sent a "${type}" event to the Realtime API`);
+    }
+
+    if (expect.realtimeConnections && realtimeConnections !== expect.realtimeConnections) {
+        errors.push(`Expected ${expect.realtimeConnections} Realtime connections, got ${realtimeConnections}`);
+    }
+
+    for (const text of expect.twimlIncludes || []) {
+        if (!call.twiml?.includes(text)) errors.push(`The call's TwiML is missing "${text}":\n${call.twiml}`);
+    }
+
+    if (expect.outcome) {
+        const matches = Object.entries(expect.outcome).every(([key, value]) => JSON.stringify(record?.outcome?.[key]) === JSON.stringify(value));
+        if (!matches) errors.push(`Expected the call outcome to include ${JSON.stringify(expect.outcome)}, got ${JSON.stringify(record?.outcome)}`);
+    }
+
+    // "recording": { "channels": 2, "sampleRate": 8000, "minSeconds": 2 } checks the WAV served for the call;
+    // "recording": null expects no recording at all
+    if (expect.recording === null) {
+        if (recording) errors.push(`Expected no recording, but GET /recordings returned one`);
+        if (record?.recording) errors.push(`Expected no recording in the call record, got ${JSON.stringify(record.recording)}`);
+    } else if (expect.recording) {
+        const { minSeconds = 0, ...format } = expect.recording;
+        if (!recording || recording.invalid) {
+            errors.push(`Expected a WAV recording, GET /recordings returned ${recording ? 'an invalid file' : '404'}`);
+        } else {
+            const formatMatches = Object.entries(format).every(([key, value]) => recording[key] === value);
+            if (!formatMatches || recording.durationSeconds < minSeconds) {
+                errors.push(`Expected a recording matching ${JSON.stringify(expect.recording)}, got ${JSON.stringify(recording)}`);
+            }
+        }
+        if (!record?.recording?.url) errors.push(`The call record doesn't link the recording: ${JSON.stringify(record?.recording)}`);
+    }
+
+    for (const sid of expect.recordingsMissing || []) {
+        if (recordings[sid]) errors.push(`The recording of ${sid} should have been purged`);
+    }
+
+    // Requests to the Twilio REST API stand-in; string values only need to be contained, e.g. { "Twiml": "<Dial>+1555" }
+    for (const expected of expect.twilioRequests || []) {
+        const found = twilioRequests.some(request => Object.entries(expected).every(([key, value]) => String(request[key] ?? '').includes(value)));
+        if (!found) errors.push(`No Twilio REST API request matching ${JSON.stringify(expected)}, got ${JSON.stringify(twilioRequests)}`);
+    }
+
+    (expect.callQueries || []).forEach(({ query, callSids }, index) => {
+        if (JSON.stringify(callQueries[index]) !== JSON.stringify(callSids)) {
+            errors.push(`Expected GET /calls?${query} to return ${JSON.stringify(callSids)}, got ${JSON.stringify(callQueries[index])}`);
+        }
+    });
+
+    for (const line of expect.metricsInclude || []) {
+        if (!metrics.includes(line)) errors.push(`GET /metrics is missing "${line}"`);
+    }
+
+    for (const type of expect.monitorEvents || []) {
+        if (!monitor.received.some(event => event.type === type)) errors.push(`The supervisor never received a "${type}" event`);
+    }
+
+    if (expect.supervisorActions) {
+        const actions = (record?.supervisorActions || []).map(action => action.action);
+        if (JSON.stringify(actions) !== JSON.stringify(expect.supervisorActions)) {
+            errors.push(`Expected supervisor actions ${JSON.stringify(expect.supervisorActions)}, got ${JSON.stringify(actions)}`);
+        }
+    }
+
+    for (const event of expect.twilioEvents || []) {
+        if (!call.received.some(received => received.event === event)) errors.push(`The caller never received a "${event}" event`);
+    }
+
+    return errors;
+}
+
+// A stand-in for the Make.com webhook: answers per route from the fixture and keeps every payload.
+// `delays` holds routes Make.com is slow to answer, e.g. { "3": 2000 } (ms).
+function startMockWebhook(responses, delays) {
+    const payloads = [];
+    const server = http.createServer((request, response) => {
+        let body = '';
+        request.on('data', chunk => { body += chunk; });
+        request.on('end', () => {
+            const payload = JSON.parse(body || '{}');
+            payloads.push(payload);
+            const answer = responses[payload.route] ?? 'ok';
+            setTimeout(() => response.end(typeof answer === 'string' ? answer : JSON.stringify(answer)), delays[payload.route] || 0);
+        });
+    });
+    return new Promise(resolve => server.listen(0, () => resolve({
+        url: `http://localhost:${server.address().port}`,
+        payloads,
+        close: () => new Promise(done => server.close(done))
+    })));
+}
+
+// A stand-in for the Twilio REST API. Keeps every request as { method, callSid, ...form parameters }.
+// A new call (POST .../Calls.json) gets the fixture's call SID. Updating a live call with new TwiML or
+// Status=completed ends its media stream, like Twilio does: `callEnded` is aborted.
+function startMockTwilioApi({ callSid: newCallSid }) {
+    const requests = [];
+    const callEnded = new AbortController();
+    const server = http.createServer((request, response) => {
+        let body = '';
+        request.on('data', chunk => { body += chunk; });
+        request.on('end', () => {
+            const params = Object.fromEntries(new URLSearchParams(body));
+            const callSid = request.url.match(/\/Calls\/([^/.]+)\.json/)?.[1] || null;
+            requests.push({ method: request.method, callSid, ...params });
+            if (callSid && (params.Twiml || params.Status === 'completed')) {
+                setTimeout(() => callEnded.abort(), 50);  // After the response, as Twilio's stop follows its API answer
+            }
+            response.setHeader('Content-Type', 'application/json');
+            if (!callSid && request.url.endsWith('/Calls.json')) {
+                response.statusCode = 201;
+                return response.end(JSON.stringify({ sid: newCallSid, status: 'queued', to: params.To, from: params.From }));
+            }
+            response.end(JSON.stringify({ sid: callSid, status: params.Status || 'in-progress' }));
+        });
+    });
+    return new Promise(resolve => server.listen(0, () => resolve({
+        url: `http://localhost:${server.address().port}`,
+        requests,
+        callEnded,
+        close: () => new Promise(done => server.close(done))
+    })));
+}
+
+// A stand-in for the extraction model: answers every request with the fixture's extraction,
+// or with a 500 when the fixture has none (the transcript must still be delivered)
+function startMockExtraction(result) {
+    const server = http.createServer((request, response) => {
+        request.resume();
+        request.on('end', () => {
+            if (result === undefined) {
+                response.statusCode = 500;
+                return response.end('{"error": "no extraction in this fixture"}');
+            }
+            response.setHeader('Content-Type', 'application/json');
+            response.end(JSON.stringify({ choices: [{ message: { role: 'assistant', content: JSON.stringify(result) } }] }));
+        });
+    });
+    return new Promise(resolve => server.listen(0, () => resolve({
+        url: `http://localhost:${server.address().port}/v1/chat/completions`,
+        close: () => new Promise(done => server.close(done))
+    })));
+}
+
+function freePort() {
+    return new Promise((resolve, reject) => {
+        const probe = net.createServer().listen(0, () => {
+            const { port } = probe.address();
+            probe.close(() => resolve(port));
+        });
+        probe.on('error', reject);
+    });
+}
+
+async function waitFor(condition, timeoutMs, what) {
+    const deadline = Date.now() + timeoutMs;
+    while (!condition()) {
+        if (Date.now() > deadline) throw new Error(`Timed out waiting for ${what}`);
+        await new Promise(resolve => setTimeout(resolve, 50));
+    }
+}
@@ -0,0 +1,28 @@
+import WebSocket from 'ws';
+
+// A scripted supervisor: opens /monitor/:callSid once the call is up and sends the fixture's commands:
+//   { "atMs": 1500, "command": { "type": "whisper", "text": "Offer the winter tire discount" } }
+//   { "atMs": 3000, "command": { "type": "end_call" } }
+// Resolves with every event the monitor sent once the server closes the socket (the call ended).
+export async function runSupervisor({ serverUrl, adminToken, callSid, connectAtMs = 500, commands = [] }) {
+    await new Promise(resolve => setTimeout(resolve, connectAtMs));
+
+    const socket = new WebSocket(`${serverUrl.replace(/^http/, 'ws')}/monitor/${callSid}`, {
+        headers: { Authorization: `Bearer ${adminToken}` }
+    });
+    const received = [];
+    socket.on('message', message => received.push(JSON.parse(message)));
+
+    await new Promise((resolve, reject) => {
+        socket.once('open', resolve);
+        socket.once('error', reject);
+    });
+
+    const timers = commands.map(({ atMs, command }) => setTimeout(() => {
+        if (socket.readyState === WebSocket.OPEN) socket.send(JSON.stringify(command));
+    }, Math.max(0, atMs - connectAtMs)));
+
+    await new Promise(resolve => socket.once('close', resolve));
+    timers.forEach(clearTimeout);
+    return { received };
+}
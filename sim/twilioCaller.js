@@ -0,0 +1,111 @@
+import WebSocket from 'ws';
+import twilio from 'twilio';
+
+const FRAME_MS = 20;  // Twilio sends 20ms u-law frames
+const SILENCE_FRAME = Buffer.alloc(FRAME_MS * 8, 0xff).toString('base64');
+
+// A scripted stand-in for Twilio: it "dials" /incoming-call (signed like Twilio would), opens the
+// media stream from the returned TwiML and plays the fixture's events:
+//   { "atMs": 1200, "type": "dtmf", "digit": "5" }
+//   { "atMs": 4000, "type": "stop" }
+// For an outbound call, `answer` replaces the /incoming-call request, e.g. { path: '/outbound-answer', params: { AnsweredBy: 'human' } }.
+// Caller audio is continuous silence. Audio from the server "plays" in real time: marks are echoed back once
+// the audio sent before them would have finished playing, or straight away when a clear flushes the buffer, like Twilio does.
+// Aborting `signal` ends the stream the way Twilio does after a REST API transfer or hang-up.
+export async function runScriptedCall({ serverUrl, authToken, callSid, from, to, events = [], signal, answer = null }) {
+    const params = { CallSid: callSid, From: from, To: to, Direction: answer ? 'outbound-api' : 'inbound', ...answer?.params };
+    const twimlResponse = await postAsTwilio(serverUrl, authToken, answer?.path || '/incoming-call', params);
+    const twiml = await twimlResponse.text();
+    const streamUrl = twiml.match(/<Stream url="([^"]+)"/)?.[1];
+    if (!streamUrl) {
+        return { twiml, received: [] };  // e.g. busy or voicemail TwiML
+    }
+
+    const customParameters = {};
+    for (const [, name, value] of twiml.matchAll(/<Parameter name="([^"]+)" value="([^"]*)"\/>/g)) {
+        customParameters[name] = decodeXml(value);
+    }
+
+    // The server builds wss:// URLs from PUBLIC_BASE_URL; locally we connect over plain ws
+    const socket = new WebSocket(streamUrl.replace(/^wss?:\/\/[^/]+/, serverUrl.replace(/^http/, 'ws')));
+    const received = [];
+    const streamSid = `MZ${callSid.slice(2)}`;
+    const send = (event) => socket.readyState === WebSocket.OPEN && socket.send(JSON.stringify(event));
+
+    await new Promise((resolve, reject) => {
+        socket.once('open', resolve);
+        socket.once('error', reject);
+    });
+
+    let playbackEndsAt = 0;  // When the audio buffered so far has finished playing
+    const pendingMarks = [];  // { mark, timer } not echoed yet
+    const echoMark = (entry) => {
+        clearTimeout(entry.timer);
+        pendingMarks.splice(pendingMarks.indexOf(entry), 1);
+        send({ event: 'mark', streamSid, mark: entry.mark });
+    };
+
+    socket.on('message', (message) => {
+        const event = JSON.parse(message);
+        received.push(event);
+        if (event.event === 'media') {
+            const chunkMs = Buffer.from(event.media.payload, 'base64').length / 8;  // 8 bytes per ms of 8kHz u-law
+            playbackEndsAt = Math.max(Date.now(), playbackEndsAt) + chunkMs;
+        } else if (event.event === 'mark') {
+            const entry = { mark: event.mark, timer: null };
+            entry.timer = setTimeout(() => echoMark(entry), Math.max(0, playbackEndsAt - Date.now()));
+            pendingMarks.push(entry);
+        } else if (event.event === 'clear') {
+            playbackEndsAt = 0;
+            [...pendingMarks].forEach(echoMark);
+        }
+    });
+
+    send({ event: 'connected', protocol: 'Call', version: '1.0.0' });
+    send({
+        event: 'start',
+        streamSid,
+        start: { streamSid, callSid, accountSid: 'ACsimulated', tracks: ['inbound'], customParameters, mediaFormat: { encoding: 'audio/x-mulaw', sampleRate: 8000, channels: 1 } }
+    });
+
+    const startedAt = Date.now();
+    let chunk = 0;
+    const mediaTimer = setInterval(() => {
+        chunk++;
+        send({ event: 'media', streamSid, media: { track: 'inbound', chunk: String(chunk), timestamp: String(Date.now() - startedAt), payload: SILENCE_FRAME } });
+    }, FRAME_MS);
+
+    const closed = new Promise(resolve => socket.once('close', resolve));
+    const stop = () => {
+        send({ event: 'stop', streamSid, stop: { accountSid: 'ACsimulated', callSid } });
+        socket.close();
+    };
+    const timers = events.map(event => setTimeout(() => {
+        if (event.type === 'dtmf') {
+            send({ event: 'dtmf', streamSid, dtmf: { track: 'inbound_track', digit: String(event.digit) } });
+        } else if (event.type === 'stop') {
+            stop();
+        }
+    }, event.atMs));
+    signal?.addEventListener('abort', stop);
+
+    await closed;  // Ends on the scripted stop, a REST API transfer or hang-up, or when the server ends the call
+    signal?.removeEventListener('abort', stop);
+    clearInterval(mediaTimer);
+    timers.forEach(clearTimeout);
+    pendingMarks.forEach(entry => clearTimeout(entry.timer));
+    return { twiml, customParameters, received };
+}
+
+// POST form parameters to the server the way Twilio does, signed with the auth token
+export function postAsTwilio(serverUrl, authToken, path, params) {
+    const headers = { 'Content-Type': 'application/x-www-form-urlencoded' };
+    if (authToken) {
+        headers['X-Twilio-Signature'] = twilio.getExpectedTwilioSignature(authToken, `${serverUrl}${path}`, params);
+    }
+    return fetch(`${serverUrl}${path}`, { method: 'POST', headers, body: new URLSearchParams(params) });
+}
+
+function decodeXml(value) {
+    return value.replace(/&quot;/g, '"').replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&apos;/g, "'").replace(/&amp;/g, '&');
+}